@@ -0,0 +1,40 @@
+import { htmlToPlainText } from "../lib/text-export";
+
+// Where the tailored bullets came from (experience[].sources, see lib/bullet-library.js): how many
+// rephrase a library bullet, and every bullet written without one.
+
+export default function BulletSources({ content }) {
+  const bullets = (content.experience || []).flatMap(exp =>
+    (exp.details || []).map((detail, idx) => ({ role: [exp.title, exp.company].filter(Boolean).join(" · "), detail, source: exp.sources?.[idx] }))
+  );
+  const unsourced = bullets.filter(b => !b.source);
+
+  return (
+    <div style={{
+      marginBottom: "16px",
+      padding: "14px 16px",
+      background: unsourced.length ? "rgba(251, 191, 36, 0.06)" : "rgba(16, 185, 129, 0.06)",
+      border: `1px solid ${unsourced.length ? "rgba(251, 191, 36, 0.25)" : "rgba(16, 185, 129, 0.25)"}`,
+      borderRadius: "12px"
+    }}>
+      <div style={{ fontSize: "14px", fontWeight: "600", color: unsourced.length ? "#fbbf24" : "#10b981" }}>
+        Bullet sources: {bullets.length - unsourced.length} of {bullets.length} from the bullet library
+      </div>
+      {unsourced.length > 0 && (
+        <>
+          <div style={{ fontSize: "12px", color: "#94a3b8", margin: "4px 0 8px" }}>
+            {unsourced.length} bullet{unsourced.length === 1 ? " has" : "s have"} no source; check them before sending
+            (sources show under each bullet in Edit mode).
+          </div>
+          <ul style={{ margin: 0, paddingLeft: "18px", fontSize: "12px", color: "#cbd5e1", lineHeight: "1.6" }}>
+            {unsourced.map((b, idx) => (
+              <li key={idx}>
+                <span style={{ color: "#64748b" }}>{b.role}:</span> {htmlToPlainText(b.detail)}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,221 @@
+import { markdownToHtml, htmlToMarkdown } from "../lib/markup";
+
+// Inline editor for the tailored content returned by /api/generate (the templateData shape).
+// Summary and bullets are edited as **bold** text and stored back as <strong> HTML.
+// experience[].sources (lib/bullet-library.js) follow their bullets through moves and deletes; `library`
+// supplies the source text shown for each reference.
+
+const labelStyle = {
+  display: "block",
+  fontSize: "13px",
+  fontWeight: "600",
+  color: "#94a3b8",
+  marginBottom: "8px",
+  textTransform: "uppercase",
+  letterSpacing: "0.5px"
+};
+
+const inputStyle = {
+  width: "100%",
+  padding: "10px 12px",
+  fontSize: "14px",
+  fontFamily: "inherit",
+  color: "#e2e8f0",
+  background: "rgba(15, 23, 42, 0.6)",
+  border: "1px solid rgba(255, 255, 255, 0.1)",
+  borderRadius: "8px",
+  outline: "none",
+  lineHeight: "1.5"
+};
+
+const iconButtonStyle = {
+  padding: "4px 8px",
+  fontSize: "12px",
+  fontFamily: "inherit",
+  color: "#94a3b8",
+  background: "rgba(51, 65, 85, 0.5)",
+  border: "1px solid rgba(255, 255, 255, 0.08)",
+  borderRadius: "6px",
+  cursor: "pointer"
+};
+
+const addButtonStyle = {
+  ...iconButtonStyle,
+  color: "#22d3ee",
+  padding: "6px 12px",
+  fontSize: "13px"
+};
+
+const move = (list, from, to) => {
+  if (to < 0 || to >= list.length) return list;
+  const next = [...list];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+};
+
+// Drop the blanks the editor keeps around while typing before the content is rendered
+export function cleanContent(content) {
+  const skills = {};
+  for (const [category, items] of Object.entries(content.skills || {})) {
+    const name = category.trim();
+    if (!name) continue;
+    skills[name] = (Array.isArray(items) ? items : []).map((s) => s.trim()).filter(Boolean);
+  }
+  return {
+    ...content,
+    skills,
+    experience: (content.experience || []).map((exp) => {
+      const keep = (exp.details || []).map((d) => Boolean(htmlToMarkdown(d).trim()));
+      return {
+        ...exp,
+        details: (exp.details || []).filter((_, i) => keep[i]),
+        ...(Array.isArray(exp.sources) && { sources: exp.sources.filter((_, i) => keep[i]) }),
+      };
+    }),
+  };
+}
+
+function SourceNote({ source, library }) {
+  if (source) {
+    return (
+      <div title={library?.[source]?.text || ""} style={{ fontSize: "11px", color: "#64748b", marginTop: "2px" }}>
+        ↳ from library bullet [{source}]{library?.[source] ? `: ${library[source].text}` : ""}
+      </div>
+    );
+  }
+  return <div style={{ fontSize: "11px", color: "#fbbf24", marginTop: "2px" }}>⚠ No source: not from the bullet library</div>;
+}
+
+export default function ContentEditor({ content, onChange, library }) {
+  const skillEntries = Object.entries(content.skills || {});
+
+  const update = (patch) => onChange({ ...content, ...patch });
+
+  const setSkills = (entries) => update({ skills: Object.fromEntries(entries) });
+
+  const setDetails = (expIdx, details, sources) =>
+    update({
+      experience: content.experience.map((exp, idx) =>
+        idx === expIdx ? { ...exp, details, ...(Array.isArray(exp.sources) && sources && { sources }) } : exp
+      ),
+    });
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: "24px" }}>
+      {/* Headline */}
+      <div>
+        <label style={labelStyle}>Headline</label>
+        <input
+          type="text"
+          value={content.title || ""}
+          onChange={(e) => update({ title: e.target.value })}
+          style={inputStyle}
+        />
+      </div>
+
+      {/* Summary */}
+      <div>
+        <label style={labelStyle}>Summary</label>
+        <textarea
+          value={htmlToMarkdown(content.summary)}
+          onChange={(e) => update({ summary: markdownToHtml(e.target.value) })}
+          rows="6"
+          style={{ ...inputStyle, resize: "vertical" }}
+        />
+        <div style={{ fontSize: "11px", color: "#64748b", marginTop: "4px" }}>
+          Wrap technical terms in **double asterisks** to bold them.
+        </div>
+      </div>
+
+      {/* Skills */}
+      <div>
+        <label style={labelStyle}>Skills</label>
+        <div style={{ display: "flex", flexDirection: "column", gap: "8px" }}>
+          {skillEntries.map(([category, items], idx) => (
+            <div key={idx} style={{ display: "grid", gridTemplateColumns: "160px 1fr auto", gap: "8px" }}>
+              <input
+                type="text"
+                value={category}
+                onChange={(e) =>
+                  setSkills(skillEntries.map((entry, i) => (i === idx ? [e.target.value, entry[1]] : entry)))
+                }
+                style={{ ...inputStyle, fontWeight: "600" }}
+              />
+              <input
+                type="text"
+                value={(items || []).join(", ")}
+                onChange={(e) =>
+                  setSkills(
+                    skillEntries.map((entry, i) =>
+                      i === idx ? [entry[0], e.target.value.split(",").map((s) => s.trimStart())] : entry
+                    )
+                  )
+                }
+                style={inputStyle}
+              />
+              <div style={{ display: "flex", gap: "4px" }}>
+                <button title="Move up" onClick={() => setSkills(move(skillEntries, idx, idx - 1))} style={iconButtonStyle}>↑</button>
+                <button title="Move down" onClick={() => setSkills(move(skillEntries, idx, idx + 1))} style={iconButtonStyle}>↓</button>
+                <button title="Delete" onClick={() => setSkills(skillEntries.filter((_, i) => i !== idx))} style={iconButtonStyle}>✕</button>
+              </div>
+            </div>
+          ))}
+          <div>
+            <button onClick={() => setSkills([...skillEntries, [`Category ${skillEntries.length + 1}`, []]])} style={addButtonStyle}>
+              + Add category
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Experience bullets */}
+      {(content.experience || []).map((exp, expIdx) => (
+        <div key={expIdx}>
+          <label style={labelStyle}>
+            {exp.title} · {exp.company}
+          </label>
+          <div style={{ display: "flex", flexDirection: "column", gap: "8px" }}>
+            {(exp.details || []).map((detail, idx) => (
+              <div key={idx} style={{ display: "grid", gridTemplateColumns: "1fr auto", gap: "8px", alignItems: "start" }}>
+                <div>
+                  <textarea
+                    value={htmlToMarkdown(detail)}
+                    onChange={(e) =>
+                      setDetails(expIdx, exp.details.map((d, i) => (i === idx ? markdownToHtml(e.target.value) : d)))
+                    }
+                    rows="2"
+                    style={{ ...inputStyle, resize: "vertical" }}
+                  />
+                  {exp.sources && <SourceNote source={exp.sources[idx]} library={library} />}
+                </div>
+                <div style={{ display: "flex", gap: "4px" }}>
+                  <button
+                    title="Move up"
+                    onClick={() => setDetails(expIdx, move(exp.details, idx, idx - 1), exp.sources && move(exp.sources, idx, idx - 1))}
+                    style={iconButtonStyle}
+                  >↑</button>
+                  <button
+                    title="Move down"
+                    onClick={() => setDetails(expIdx, move(exp.details, idx, idx + 1), exp.sources && move(exp.sources, idx, idx + 1))}
+                    style={iconButtonStyle}
+                  >↓</button>
+                  <button
+                    title="Delete"
+                    onClick={() => setDetails(expIdx, exp.details.filter((_, i) => i !== idx), exp.sources?.filter((_, i) => i !== idx))}
+                    style={iconButtonStyle}
+                  >✕</button>
+                </div>
+              </div>
+            ))}
+            <div>
+              <button onClick={() => setDetails(expIdx, [...(exp.details || []), ""], exp.sources && [...exp.sources, null])} style={addButtonStyle}>
+                + Add bullet
+              </button>
+            </div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
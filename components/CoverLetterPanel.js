@@ -0,0 +1,231 @@
+import { useState, useEffect } from "react";
+
+// Cover letter for the previewed resume (/api/cover-letter): same profile, JD and template, a length and tone,
+// an editable letter that re-renders without a model call, and PDF/DOCX downloads.
+
+const LETTER_WIDTH = 816;
+const LETTER_HEIGHT = 1056;
+const LETTER_SCALE = 0.76;
+const RERENDER_DEBOUNCE_MS = 500;
+
+const selectStyle = {
+  padding: "9px 10px",
+  fontSize: "13px",
+  fontFamily: "inherit",
+  color: "#f1f5f9",
+  background: "rgba(30, 41, 59, 0.5)",
+  border: "1px solid rgba(255, 255, 255, 0.1)",
+  borderRadius: "10px",
+  outline: "none",
+  cursor: "pointer"
+};
+
+const fieldStyle = {
+  width: "100%",
+  padding: "10px 12px",
+  fontSize: "13px",
+  lineHeight: "1.5",
+  fontFamily: "inherit",
+  color: "#f1f5f9",
+  background: "rgba(15, 23, 42, 0.6)",
+  border: "1px solid rgba(255, 255, 255, 0.1)",
+  borderRadius: "8px",
+  outline: "none",
+  resize: "vertical"
+};
+
+const postLetter = (body) =>
+  fetch("/api/cover-letter", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  });
+
+export default function CoverLetterPanel({ profile, jd, jobTitle, companyName, template, paper }) {
+  const [options, setOptions] = useState(null);
+  const [length, setLength] = useState("");
+  const [tone, setTone] = useState("");
+  // { content, html, fileName, template, rev }: rev counts edits, 0 = as written by the model
+  const [letter, setLetter] = useState(null);
+  const [writing, setWriting] = useState(false);
+  const [downloading, setDownloading] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetch("/api/cover-letter")
+      .then(res => res.json())
+      .then(data => {
+        setOptions(data);
+        setLength(data.defaults.length);
+        setTone(data.defaults.tone);
+      })
+      .catch(err => setError(`Failed to load cover letter options: ${err.message}`));
+  }, []);
+
+  // Edits and a new resume template re-render the letter once typing pauses
+  useEffect(() => {
+    if (!letter || (letter.rev === 0 && letter.template === template)) return;
+    const rev = letter.rev;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await postLetter({ content: letter.content, template, paper, output: "json" });
+        if (!res.ok) throw new Error(await res.text());
+        const data = await res.json();
+        setError(null);
+        setLetter(prev => (prev && prev.rev === rev ? { ...prev, html: data.html, template } : prev));
+      } catch (err) {
+        setError(err.message);
+      }
+    }, RERENDER_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [letter?.rev, template]);
+
+  const writeLetter = async () => {
+    if (!jd.trim()) return alert("Please enter the job description");
+    setWriting(true);
+    setError(null);
+    try {
+      const res = await postLetter({ profile, jd, jobTitle, companyName, template, length, tone, paper, output: "json" });
+      if (!res.ok) throw new Error(await res.text());
+      const data = await res.json();
+      setLetter({ ...data, rev: 0 });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setWriting(false);
+    }
+  };
+
+  const updateContent = (patch) =>
+    setLetter(prev => ({ ...prev, content: { ...prev.content, ...patch }, rev: prev.rev + 1 }));
+
+  const updateParagraph = (index, text) =>
+    updateContent({ paragraphs: letter.content.paragraphs.map((p, i) => (i === index ? text : p)) });
+
+  const download = async (format) => {
+    setDownloading(format);
+    try {
+      const res = await postLetter({ content: letter.content, template, paper, output: format });
+      if (!res.ok) throw new Error(await res.text());
+      const blob = await res.blob();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `${letter.fileName}.${format}`;
+      a.click();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      alert(`❌ Error: ${err.message}`);
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  const buttonStyle = (active) => ({
+    padding: "10px 18px",
+    fontSize: "14px",
+    fontWeight: "600",
+    fontFamily: "inherit",
+    color: active ? "#0a0f1c" : "#64748b",
+    background: active ? "linear-gradient(135deg, #22d3ee 0%, #10b981 100%)" : "rgba(51, 65, 85, 0.5)",
+    border: "none",
+    borderRadius: "10px",
+    cursor: active ? "pointer" : "not-allowed"
+  });
+
+  return (
+    <div style={{ marginTop: "32px" }}>
+      <div style={{ display: "flex", alignItems: "center", gap: "8px", flexWrap: "wrap", marginBottom: "12px" }}>
+        <span style={{
+          fontSize: "13px",
+          fontWeight: "600",
+          color: "#94a3b8",
+          textTransform: "uppercase",
+          letterSpacing: "0.5px",
+          marginRight: "auto"
+        }}>
+          Cover Letter
+        </span>
+        <select value={length} onChange={(e) => setLength(e.target.value)} disabled={!options} title="Length" style={selectStyle}>
+          {(options?.lengths || []).map(option => (
+            <option key={option.id} value={option.id}>{option.label}</option>
+          ))}
+        </select>
+        <select value={tone} onChange={(e) => setTone(e.target.value)} disabled={!options} title="Tone" style={selectStyle}>
+          {(options?.tones || []).map(option => (
+            <option key={option.id} value={option.id}>{option.label}</option>
+          ))}
+        </select>
+        <button onClick={writeLetter} disabled={writing || !options} style={buttonStyle(!writing && options)}>
+          {writing ? "Writing..." : letter ? "Rewrite Cover Letter" : "Write Cover Letter"}
+        </button>
+      </div>
+
+      {error && <div style={{ marginBottom: "12px", fontSize: "13px", color: "#f87171" }}>{error}</div>}
+
+      {letter && (
+        <>
+          <div style={{ display: "flex", alignItems: "center", gap: "8px", marginBottom: "12px" }}>
+            <button
+              onClick={() => setEditing(!editing)}
+              style={{
+                padding: "6px 12px",
+                fontSize: "12px",
+                fontWeight: "600",
+                fontFamily: "inherit",
+                textTransform: "uppercase",
+                letterSpacing: "0.5px",
+                color: editing ? "#0a0f1c" : "#94a3b8",
+                background: editing ? "#22d3ee" : "rgba(51, 65, 85, 0.5)",
+                border: "none",
+                borderRadius: "8px",
+                cursor: "pointer",
+                marginRight: "auto"
+              }}
+            >
+              Edit
+            </button>
+            {["pdf", "docx"].map(format => (
+              <button key={format} onClick={() => download(format)} disabled={!!downloading} style={buttonStyle(!downloading)}>
+                {downloading === format ? "Rendering..." : `Download ${format === "pdf" ? "PDF" : "Word (DOCX)"}`}
+              </button>
+            ))}
+          </div>
+
+          {editing && (
+            <div style={{ display: "flex", flexDirection: "column", gap: "8px", marginBottom: "12px" }}>
+              <input value={letter.content.greeting} onChange={(e) => updateContent({ greeting: e.target.value })} style={fieldStyle} />
+              {letter.content.paragraphs.map((paragraph, idx) => (
+                <textarea key={idx} value={paragraph} onChange={(e) => updateParagraph(idx, e.target.value)} rows={5} style={fieldStyle} />
+              ))}
+              <input value={letter.content.closing} onChange={(e) => updateContent({ closing: e.target.value })} style={fieldStyle} />
+            </div>
+          )}
+
+          {/* Rendered at US Letter width and scaled down, like the resume preview */}
+          <div style={{
+            height: `${LETTER_HEIGHT * LETTER_SCALE}px`,
+            overflow: "hidden",
+            borderRadius: "12px",
+            border: "1px solid rgba(255, 255, 255, 0.1)",
+            background: "#ffffff"
+          }}>
+            <iframe
+              title="Cover letter preview"
+              srcDoc={letter.html}
+              sandbox=""
+              style={{
+                width: `${LETTER_WIDTH}px`,
+                height: `${LETTER_HEIGHT}px`,
+                border: "none",
+                transform: `scale(${LETTER_SCALE})`,
+                transformOrigin: "top left"
+              }}
+            />
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+// What the PDF auto-fit changed to reach the page target (the report from lib/fit.js)
+
+const PAPER_LABELS = { a4: "A4", letter: "US Letter" };
+
+export default function FitReport({ report, onDismiss }) {
+  const fits = report.fits !== false;
+  const changes = report.changes || [];
+
+  return (
+    <div style={{
+      marginBottom: "16px",
+      padding: "16px",
+      background: fits ? "rgba(34, 211, 238, 0.06)" : "rgba(251, 191, 36, 0.06)",
+      border: `1px solid ${fits ? "rgba(34, 211, 238, 0.3)" : "rgba(251, 191, 36, 0.3)"}`,
+      borderRadius: "12px"
+    }}>
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: "12px" }}>
+        <div style={{ fontSize: "14px", fontWeight: "600", color: fits ? "#22d3ee" : "#fbbf24" }}>
+          {fits ? "✓" : "⚠"} {report.pages} page{report.pages === 1 ? "" : "s"} on {PAPER_LABELS[report.paper] || report.paper}
+          {report.targetPages ? ` (target ${report.targetPages})` : ""}
+        </div>
+        <button
+          onClick={onDismiss}
+          style={{
+            padding: "4px 10px",
+            fontSize: "12px",
+            fontFamily: "inherit",
+            color: "#94a3b8",
+            background: "rgba(51, 65, 85, 0.5)",
+            border: "1px solid rgba(255, 255, 255, 0.08)",
+            borderRadius: "6px",
+            cursor: "pointer"
+          }}
+        >
+          Dismiss
+        </button>
+      </div>
+      {changes.length > 0 && (
+        <ul style={{ margin: "10px 0 0 18px", fontSize: "13px", color: "#e2e8f0", lineHeight: "1.7" }}>
+          {changes.map(change => <li key={change}>{change}</li>)}
+        </ul>
+      )}
+      {report.trimmed?.length > 0 && (
+        <details style={{ marginTop: "8px", fontSize: "12px", color: "#94a3b8" }}>
+          <summary style={{ cursor: "pointer" }}>Removed bullets</summary>
+          <ul style={{ margin: "6px 0 0 18px", lineHeight: "1.6" }}>
+            {report.trimmed.map((cut, idx) => (
+              <li key={idx}><strong>{cut.company}:</strong> {cut.bullet}</li>
+            ))}
+          </ul>
+        </details>
+      )}
+    </div>
+  );
+}
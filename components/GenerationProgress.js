@@ -0,0 +1,144 @@
+// Stage-by-stage view of a streaming generate (/api/generate/stream) with a Cancel button.
+// Retries and repair requests restart from the model stage, so later stages go back to pending.
+// The export step (PDF or DOCX) follows once there is one: the stream's own pdf event, or the preview's
+// Approve & Download (startExportProgress, then the pdf/docx event when the file arrives).
+
+const STAGES = [
+  ["profile", "Profile loaded"],
+  ["model", "Model call started"],
+  ["tokens", "Tokens streaming"],
+  ["parsed", "JSON parsed"],
+  ["warnings", "Validation warnings"],
+  ["html", "HTML rendered"]
+];
+
+const EXPORT_STAGES = {
+  pdf: "PDF ready",
+  docx: "DOCX ready"
+};
+
+const ATTEMPT_LABELS = {
+  retry: "Response was cut off, retrying with fewer bullets",
+  repair: "Asking the model to fix the JSON"
+};
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+const kilobytes = (bytes) => `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+function describe(stage, data) {
+  switch (stage) {
+    case "profile":
+      return data.warnings.length ? `${data.name} · ${plural(data.warnings.length, "profile warning")}` : data.name;
+    case "model":
+      return ATTEMPT_LABELS[data.attempt] || data.preset;
+    case "tokens":
+      return `${data.chars.toLocaleString()} characters${data.done ? "" : " so far"}`;
+    case "parsed":
+      return data.errors ? plural(data.errors, "schema problem") : "Matches the resume format";
+    case "warnings": {
+      const parts = [
+        data.grounding && plural(data.grounding, "unverified claim"),
+        data.profile.length && plural(data.profile.length, "profile warning"),
+        data.repairs && plural(data.repairs, "repair")
+      ].filter(Boolean);
+      return parts.length ? parts.join(" · ") : "None";
+    }
+    case "html":
+      return data.template;
+    case "pdf":
+      return [data.pages && plural(data.pages, "page"), kilobytes(data.bytes)].filter(Boolean).join(" · ");
+    case "docx":
+      return kilobytes(data.bytes);
+    default:
+      return "";
+  }
+}
+
+// `exported` is the export stage in view ("pdf" | "docx"), `finished` marks it done
+export const INITIAL_PROGRESS = { active: null, details: {}, exported: null, finished: false };
+
+const stagesFor = (progress) =>
+  progress.exported ? [...STAGES, [progress.exported, EXPORT_STAGES[progress.exported]]] : STAGES;
+
+// The export is under way: its stage is active until the pdf/docx event arrives
+export const startExportProgress = (progress, format) => ({
+  ...progress,
+  active: format,
+  details: { ...progress.details, [format]: "Rendering..." },
+  exported: format,
+  finished: false
+});
+
+// Fold one server event into the progress state; unknown events (result, error) leave it unchanged
+export function applyProgressEvent(progress, event, data) {
+  if (EXPORT_STAGES[event]) {
+    return { active: event, details: { ...progress.details, [event]: describe(event, data) }, exported: event, finished: true };
+  }
+  if (!STAGES.some(([stage]) => stage === event)) return progress;
+  const details = { ...progress.details, [event]: describe(event, data) };
+  if (event === "model") {
+    delete details.tokens;
+    delete details.parsed;
+  }
+  return { ...INITIAL_PROGRESS, active: event, details };
+}
+
+// Without onCancel (a finished export) there is no Cancel button
+export default function GenerationProgress({ progress, onCancel }) {
+  const stages = stagesFor(progress);
+  const activeIdx = stages.findIndex(([stage]) => stage === progress.active);
+
+  return (
+    <div style={{
+      marginTop: "16px",
+      padding: "16px",
+      background: "rgba(15, 23, 42, 0.6)",
+      border: "1px solid rgba(255, 255, 255, 0.1)",
+      borderRadius: "12px"
+    }}>
+      <div style={{ display: "flex", flexDirection: "column", gap: "8px" }}>
+        {stages.map(([stage, label], idx) => {
+          const state = idx < activeIdx || (idx === activeIdx && progress.finished) ? "done" : idx === activeIdx ? "active" : "pending";
+          return (
+            <div
+              key={stage}
+              style={{
+                display: "grid",
+                gridTemplateColumns: "20px 180px 1fr",
+                gap: "10px",
+                alignItems: "center",
+                fontSize: "13px",
+                opacity: state === "pending" ? 0.4 : 1
+              }}
+            >
+              <span style={{ color: state === "done" ? "#10b981" : "#22d3ee" }}>
+                {state === "done" ? "✓" : state === "active" ? "●" : "○"}
+              </span>
+              <span style={{ color: "#e2e8f0", fontWeight: state === "active" ? "600" : "400" }}>{label}</span>
+              <span style={{ color: "#94a3b8" }}>{progress.details[stage] || ""}</span>
+            </div>
+          );
+        })}
+      </div>
+      {onCancel && (
+        <button
+          onClick={onCancel}
+          style={{
+            marginTop: "14px",
+            padding: "8px 16px",
+            fontSize: "13px",
+            fontWeight: "600",
+            fontFamily: "inherit",
+            color: "#f87171",
+            background: "rgba(248, 113, 113, 0.08)",
+            border: "1px solid rgba(248, 113, 113, 0.3)",
+            borderRadius: "8px",
+            cursor: "pointer"
+          }}
+        >
+          Cancel
+        </button>
+      )}
+    </div>
+  );
+}
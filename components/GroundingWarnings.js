@@ -0,0 +1,127 @@
+// Claims in the tailored content that the source profile does not back up (see lib/grounding.js).
+// Each one can be accepted as-is, fixed from the profile where possible, or removed in the editor.
+
+const TYPE_LABELS = {
+  company: "Company",
+  title: "Title",
+  dates: "Dates",
+  degree: "Degree",
+  metric: "Metric"
+};
+
+const buttonStyle = {
+  padding: "4px 10px",
+  fontSize: "12px",
+  fontFamily: "inherit",
+  color: "#94a3b8",
+  background: "rgba(51, 65, 85, 0.5)",
+  border: "1px solid rgba(255, 255, 255, 0.08)",
+  borderRadius: "6px",
+  cursor: "pointer",
+  whiteSpace: "nowrap"
+};
+
+const indexOf = (path, section) => {
+  const match = new RegExp(`^${section}\\[(\\d+)\\]`).exec(path);
+  return match ? Number(match[1]) : -1;
+};
+
+// Content with the flagged claim replaced by the profile's value or removed; null when it has to be edited by hand
+// (metrics live inside bullets and summary text)
+export function fixIssue(content, issue) {
+  const expIdx = indexOf(issue.path, "experience");
+  const patchRole = (patch) => ({
+    ...content,
+    experience: content.experience.map((exp, idx) => (idx === expIdx ? { ...exp, ...patch } : exp))
+  });
+
+  if (issue.type === "company" && expIdx >= 0) {
+    return { ...content, experience: content.experience.filter((_, idx) => idx !== expIdx) };
+  }
+  if (issue.type === "title" && issue.expected && expIdx >= 0) return patchRole({ title: issue.expected });
+  if (issue.type === "dates" && issue.expected && expIdx >= 0) return patchRole(issue.expected);
+  if (issue.type === "degree") {
+    const eduIdx = indexOf(issue.path, "education");
+    if (eduIdx >= 0) return { ...content, education: content.education.filter((_, idx) => idx !== eduIdx) };
+  }
+  return null;
+}
+
+const canFix = (issue) => issue.type === "company" || issue.type === "degree" || Boolean(issue.expected);
+
+const fixLabel = (issue) => (issue.type === "company" || issue.type === "degree" ? "Remove" : "Use profile value");
+
+export default function GroundingWarnings({ issues, accepted, onToggleAccepted, onFix, strict, onStrictChange }) {
+  const pending = issues.filter(issue => !accepted.includes(issue.id));
+
+  return (
+    <div style={{
+      marginBottom: "16px",
+      padding: "16px",
+      background: pending.length ? "rgba(251, 191, 36, 0.06)" : "rgba(16, 185, 129, 0.06)",
+      border: `1px solid ${pending.length ? "rgba(251, 191, 36, 0.3)" : "rgba(16, 185, 129, 0.3)"}`,
+      borderRadius: "12px"
+    }}>
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: "12px" }}>
+        <div style={{ fontSize: "14px", fontWeight: "600", color: pending.length ? "#fbbf24" : "#10b981" }}>
+          {issues.length === 0
+            ? "✓ Every company, title, date, degree and metric is backed by the profile"
+            : pending.length
+              ? `⚠ ${pending.length} claim${pending.length === 1 ? "" : "s"} not found in the profile`
+              : `✓ All ${issues.length} flagged claim${issues.length === 1 ? "" : "s"} accepted`}
+        </div>
+        <label style={{ display: "flex", alignItems: "center", gap: "6px", fontSize: "13px", color: "#94a3b8", cursor: "pointer" }}>
+          <input type="checkbox" checked={strict} onChange={(e) => onStrictChange(e.target.checked)} />
+          Strict mode
+        </label>
+      </div>
+      {strict && pending.length > 0 && (
+        <div style={{ fontSize: "12px", color: "#64748b", marginTop: "6px" }}>
+          Export is blocked until each claim is accepted, fixed, or removed in the editor.
+        </div>
+      )}
+
+      {issues.length > 0 && (
+        <div style={{ display: "flex", flexDirection: "column", gap: "6px", marginTop: "12px" }}>
+          {issues.map(issue => {
+            const isAccepted = accepted.includes(issue.id);
+            return (
+              <div
+                key={issue.id}
+                style={{
+                  display: "grid",
+                  gridTemplateColumns: "70px 1fr auto",
+                  gap: "10px",
+                  alignItems: "center",
+                  fontSize: "13px",
+                  opacity: isAccepted ? 0.5 : 1
+                }}
+              >
+                <span style={{
+                  fontSize: "11px",
+                  fontWeight: "600",
+                  color: "#fbbf24",
+                  textTransform: "uppercase",
+                  letterSpacing: "0.5px"
+                }}>
+                  {TYPE_LABELS[issue.type] || issue.type}
+                </span>
+                <span style={{ color: "#e2e8f0", textDecoration: isAccepted ? "line-through" : "none" }}>
+                  {issue.message}
+                </span>
+                <span style={{ display: "flex", gap: "4px" }}>
+                  {!isAccepted && canFix(issue) && (
+                    <button onClick={() => onFix(issue)} style={buttonStyle}>{fixLabel(issue)}</button>
+                  )}
+                  <button onClick={() => onToggleAccepted(issue.id)} style={buttonStyle}>
+                    {isAccepted ? "Undo" : "Accept"}
+                  </button>
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
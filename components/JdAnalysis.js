@@ -0,0 +1,82 @@
+// What /api/analyze-jd found in the job description: role facts plus required and nice-to-have skills.
+
+const WORK_MODE_LABELS = { remote: "Remote", hybrid: "Hybrid", onsite: "On-site" };
+
+const capitalize = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+
+function years(range) {
+  if (!range) return null;
+  return range.max ? `${range.min}–${range.max} years` : `${range.min}+ years`;
+}
+
+function SkillChips({ label, skills, color, background }) {
+  if (!skills.length) return null;
+  return (
+    <div style={{ marginTop: "10px" }}>
+      <div style={{ fontSize: "11px", color: "#64748b", textTransform: "uppercase", letterSpacing: "0.5px", marginBottom: "6px" }}>
+        {label} ({skills.length})
+      </div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: "6px" }}>
+        {skills.map(skill => (
+          <span key={skill} style={{ padding: "3px 10px", fontSize: "12px", color, background, borderRadius: "999px" }}>
+            {skill}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default function JdAnalysis({ result, analyzing, onAnalyzeWithModel }) {
+  const { analysis, source, warning } = result;
+  const facts = [
+    analysis.seniority && capitalize(analysis.seniority),
+    years(analysis.yearsRequired),
+    [WORK_MODE_LABELS[analysis.workMode], analysis.location].filter(Boolean).join(" · "),
+    analysis.industry
+  ].filter(Boolean);
+
+  return (
+    <div style={{
+      marginTop: "12px",
+      padding: "14px 16px",
+      background: "rgba(30, 41, 59, 0.4)",
+      border: "1px solid rgba(255, 255, 255, 0.08)",
+      borderRadius: "12px"
+    }}>
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: "12px" }}>
+        <div style={{ fontSize: "14px", color: "#f1f5f9", fontWeight: "600" }}>
+          {analysis.title || "Untitled role"}
+          {analysis.company && <span style={{ color: "#94a3b8", fontWeight: "400" }}> at {analysis.company}</span>}
+        </div>
+        <div style={{ display: "flex", alignItems: "center", gap: "8px", fontSize: "12px", color: "#64748b", whiteSpace: "nowrap" }}>
+          {analyzing ? "analyzing..." : source === "model" ? "dictionary + model" : "dictionary"}
+          {source !== "model" && (
+            <button
+              onClick={onAnalyzeWithModel}
+              disabled={analyzing}
+              style={{
+                padding: "4px 10px",
+                fontSize: "12px",
+                fontFamily: "inherit",
+                color: analyzing ? "#64748b" : "#22d3ee",
+                background: "transparent",
+                border: "1px solid rgba(34, 211, 238, 0.3)",
+                borderRadius: "6px",
+                cursor: analyzing ? "not-allowed" : "pointer"
+              }}
+            >
+              Refine with AI
+            </button>
+          )}
+        </div>
+      </div>
+      {warning && <div style={{ marginTop: "6px", fontSize: "12px", color: "#fbbf24" }}>{warning}</div>}
+      {facts.length > 0 && (
+        <div style={{ marginTop: "6px", fontSize: "13px", color: "#94a3b8" }}>{facts.join(" · ")}</div>
+      )}
+      <SkillChips label="Required" skills={analysis.requiredSkills} color="#22d3ee" background="rgba(34, 211, 238, 0.1)" />
+      <SkillChips label="Nice to have" skills={analysis.niceToHaveSkills} color="#cbd5e1" background="rgba(148, 163, 184, 0.12)" />
+    </div>
+  );
+}
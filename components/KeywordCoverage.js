@@ -0,0 +1,111 @@
+// Keyword coverage of the tailored resume against the JD's skills (the report from lib/coverage.js).
+
+const SECTION_LABELS = { summary: "Summary", skills: "Skills", experience: "Experience" };
+
+const scoreColor = (score) => (score >= 80 ? "#10b981" : score >= 60 ? "#fbbf24" : "#f87171");
+
+function Chip({ children, color, background, title }) {
+  return (
+    <span title={title} style={{ padding: "3px 10px", fontSize: "12px", color, background, borderRadius: "999px" }}>
+      {children}
+    </span>
+  );
+}
+
+export default function KeywordCoverage({ coverage }) {
+  if (coverage.score === null) {
+    return (
+      <div style={{ marginBottom: "16px", fontSize: "13px", color: "#64748b" }}>
+        Keyword coverage: no known skills found in the job description.
+      </div>
+    );
+  }
+
+  const terms = coverage.matched.length + coverage.missing.length;
+  const missingRequired = coverage.missing.filter(t => t.required);
+
+  return (
+    <div style={{
+      marginBottom: "16px",
+      padding: "16px",
+      background: "rgba(30, 41, 59, 0.4)",
+      border: "1px solid rgba(255, 255, 255, 0.08)",
+      borderRadius: "12px"
+    }}>
+      <div style={{ display: "flex", alignItems: "baseline", gap: "12px" }}>
+        <span style={{ fontSize: "22px", fontWeight: "700", color: scoreColor(coverage.score) }}>{coverage.score}%</span>
+        <span style={{ fontSize: "14px", fontWeight: "600", color: "#f1f5f9" }}>Keyword coverage</span>
+        <span style={{ fontSize: "12px", color: "#64748b" }}>
+          {coverage.matched.length} of {terms} JD skills · required skills count double
+        </span>
+      </div>
+
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(3, 1fr)", gap: "12px", marginTop: "12px" }}>
+        {Object.entries(coverage.sections).map(([section, stats]) => (
+          <div key={section}>
+            <div style={{ display: "flex", justifyContent: "space-between", fontSize: "12px", color: "#94a3b8", marginBottom: "4px" }}>
+              <span>{SECTION_LABELS[section] || section}</span>
+              <span>{stats.matched}/{stats.total}</span>
+            </div>
+            <div style={{ height: "6px", background: "rgba(51, 65, 85, 0.6)", borderRadius: "3px", overflow: "hidden" }}>
+              <div style={{ width: `${stats.percent || 0}%`, height: "100%", background: "#22d3ee" }} />
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {coverage.missing.length > 0 && (
+        <div style={{ marginTop: "12px" }}>
+          <div style={{ fontSize: "12px", color: "#94a3b8", marginBottom: "6px" }}>
+            Missing{missingRequired.length ? ` (${missingRequired.length} required)` : ""}
+          </div>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: "6px" }}>
+            {coverage.missing.map(term => (
+              <Chip
+                key={term.name}
+                color={term.required ? "#f87171" : "#cbd5e1"}
+                background={term.required ? "rgba(248, 113, 113, 0.1)" : "rgba(148, 163, 184, 0.12)"}
+                title={term.required ? "Required by the JD" : "Nice to have"}
+              >
+                {term.name}
+              </Chip>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {coverage.overused.length > 0 && (
+        <div style={{ marginTop: "12px" }}>
+          <div style={{ fontSize: "12px", color: "#94a3b8", marginBottom: "6px" }}>
+            Repeated often in the summary and bullets (reads as keyword stuffing)
+          </div>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: "6px" }}>
+            {coverage.overused.map(term => (
+              <Chip key={term.name} color="#fbbf24" background="rgba(251, 191, 36, 0.1)">
+                {term.name} ×{term.count}
+              </Chip>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {coverage.matched.length > 0 && (
+        <details style={{ marginTop: "12px", fontSize: "12px", color: "#94a3b8" }}>
+          <summary style={{ cursor: "pointer" }}>Matched ({coverage.matched.length})</summary>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: "6px", marginTop: "8px" }}>
+            {coverage.matched.map(term => (
+              <Chip
+                key={term.name}
+                color="#22d3ee"
+                background="rgba(34, 211, 238, 0.1)"
+                title={`${term.count}× in ${term.sections.map(s => SECTION_LABELS[s]).join(", ")}`}
+              >
+                {term.name}
+              </Chip>
+            ))}
+          </div>
+        </details>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+// JD skills missing from the profile's skills inventory (lib/skill-inventory.js), with a link to add them.
+
+export default function SkillGaps({ gaps, profile }) {
+  if (!gaps.length) {
+    return (
+      <div style={{ marginBottom: "16px", fontSize: "13px", color: "#10b981" }}>
+        ✓ The skills inventory covers every skill the JD names.
+      </div>
+    );
+  }
+
+  const addLink = `/skills?profile=${encodeURIComponent(profile)}&add=${encodeURIComponent(gaps.map(gap => gap.name).join(","))}`;
+
+  return (
+    <div style={{
+      marginBottom: "16px",
+      padding: "14px 16px",
+      background: "rgba(251, 191, 36, 0.06)",
+      border: "1px solid rgba(251, 191, 36, 0.25)",
+      borderRadius: "12px"
+    }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", gap: "12px" }}>
+        <span style={{ fontSize: "14px", fontWeight: "600", color: "#fbbf24" }}>
+          Skill gaps: {gaps.length} JD skill{gaps.length === 1 ? "" : "s"} not in the inventory
+        </span>
+        <a href={addLink} style={{ fontSize: "12px", color: "#22d3ee", textDecoration: "none", whiteSpace: "nowrap" }}>
+          Add to inventory →
+        </a>
+      </div>
+      <div style={{ fontSize: "12px", color: "#94a3b8", margin: "4px 0 8px" }}>
+        Left out of the Skills section. Add the ones the candidate really has, then regenerate.
+      </div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: "6px" }}>
+        {gaps.map(gap => (
+          <span
+            key={gap.name}
+            title={gap.required ? "Required by the JD" : "Nice to have"}
+            style={{
+              padding: "3px 10px",
+              fontSize: "12px",
+              color: gap.required ? "#fbbf24" : "#cbd5e1",
+              background: gap.required ? "rgba(251, 191, 36, 0.1)" : "rgba(148, 163, 184, 0.12)",
+              borderRadius: "999px"
+            }}
+          >
+            {gap.name}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
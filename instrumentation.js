@@ -0,0 +1,7 @@
+// Runs once when the server starts: resume generation jobs a restart interrupted
+export async function register() {
+  if (process.env.NEXT_RUNTIME === "nodejs") {
+    const { recoverJobs } = await import("./lib/jobs");
+    recoverJobs();
+  }
+}
@@ -0,0 +1,121 @@
+import JSZip from "jszip";
+import Papa from "papaparse";
+import { runGeneration } from "./generate";
+import { createLimiter } from "./limit";
+
+// Batch tailoring: many { profile, jobTitle, companyName, jd, template, preset, headline, paper, pages, skillsMode } rows through the
+// generate pipeline. `defaults` fills blank fields, so one JD can go to several profiles or several JDs to
+// one profile. The result is a ZIP of PDFs plus manifest.json / manifest.csv with per-row status.
+
+export const MAX_BATCH_ROWS = 50;
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 2;
+const ROW_FIELDS = ["profile", "jobTitle", "companyName", "jd", "template", "preset", "headline", "paper", "pages", "skillsMode"];
+
+// CSV headers are matched loosely: "Job Title", "job_title" and "jobTitle" are the same column
+const normalizeHeader = (header) => {
+  const key = header.replace(/[\s_-]+/g, "").toLowerCase();
+  return ROW_FIELDS.find((field) => field.toLowerCase() === key) || header.trim();
+};
+
+// Rows from a CSV string or a JSON array; throws with status 400 when the input cannot be read
+export function parseBatchInput({ rows, csv } = {}) {
+  if (Array.isArray(rows)) return rows;
+  if (typeof csv !== "string" || !csv.trim()) {
+    throw Object.assign(new Error("Provide rows (a JSON array) or csv (text with a header row)"), { status: 400 });
+  }
+
+  const parsed = Papa.parse(csv.trim(), { header: true, skipEmptyLines: "greedy", transformHeader: normalizeHeader });
+  if (parsed.errors.length) {
+    const [first] = parsed.errors;
+    throw Object.assign(new Error(`CSV row ${first.row + 2}: ${first.message}`), { status: 400 });
+  }
+  return parsed.data;
+}
+
+// Apply defaults to each row; blank cells fall back to the default value (a null `defaults` means none)
+export function normalizeRows(rows, defaults) {
+  const fallback = defaults && typeof defaults === "object" ? defaults : {};
+  if (!rows.length) throw Object.assign(new Error("The batch has no rows"), { status: 400 });
+  if (rows.length > MAX_BATCH_ROWS) {
+    throw Object.assign(new Error(`A batch can have at most ${MAX_BATCH_ROWS} rows (got ${rows.length})`), { status: 400 });
+  }
+  return rows.map((row) =>
+    Object.fromEntries(
+      ROW_FIELDS.map((field) => {
+        const raw = row?.[field];
+        const value = typeof raw === "string" ? raw.trim() : typeof raw === "number" ? String(raw) : "";
+        return [field, value || fallback[field] || ""];
+      })
+    )
+  );
+}
+
+const uniqueName = (used, base) => {
+  let name = `${base}.pdf`;
+  for (let n = 2; used.has(name); n++) name = `${base}_${n}.pdf`;
+  used.add(name);
+  return name;
+};
+
+const MANIFEST_COLUMNS = ["row", "status", "profile", "companyName", "jobTitle", "template", "file", "pages", "keywordCoverage", "skillGaps", "runId", "unverifiedClaims", "unsourcedBullets", "error"];
+
+// Run every row (BATCH_CONCURRENCY at a time; PDF renders are capped separately in lib/render.js).
+// A failing row is recorded in the manifest and never fails the batch. Returns { zip: Buffer, manifest }.
+// With `strict`, rows with claims the profile does not back up are left out of the ZIP (status "blocked").
+export async function runBatch(rows, { signal = null, strict = false } = {}) {
+  const zip = new JSZip();
+  const usedNames = new Set();
+  const limit = createLimiter(BATCH_CONCURRENCY);
+
+  const results = await Promise.all(
+    rows.map((row, idx) =>
+      limit(async () => {
+        const entry = {
+          row: idx + 1,
+          profile: row.profile,
+          companyName: row.companyName,
+          jobTitle: row.jobTitle,
+          template: row.template || "Resume",
+        };
+        if (signal?.aborted) return { ...entry, status: "cancelled" };
+        try {
+          const result = await runGeneration({ ...row, output: "pdf", strict }, { signal });
+          const file = uniqueName(usedNames, result.fileName);
+          zip.file(file, result.pdfBuffer);
+          console.log(`Batch row ${entry.row}/${rows.length}: ${file}`);
+          return {
+            ...entry,
+            status: "ok",
+            file,
+            pages: result.fit.pages,
+            keywordCoverage: result.coverage.score,
+            skillGaps: result.skillGaps ? result.skillGaps.map((gap) => gap.name).join(", ") : "",
+            fitChanges: result.fit.changes,
+            runId: result.runId,
+            unverifiedClaims: result.grounding.length,
+            // Only profiles with a bullet library (lib/bullet-library.js) have sources to count
+            unsourcedBullets: result.bulletLibrary
+              ? result.content.experience.flatMap((exp) => exp.sources || []).filter((source) => !source).length
+              : "",
+          };
+        } catch (err) {
+          if (!err.status) console.error(`Batch row ${entry.row} failed:`, err);
+          const status = signal?.aborted ? "cancelled" : err.status === 409 ? "blocked" : "failed";
+          return { ...entry, status, error: err.message };
+        }
+      })
+    )
+  );
+
+  const manifest = {
+    createdAt: new Date().toISOString(),
+    total: results.length,
+    succeeded: results.filter((r) => r.status === "ok").length,
+    failed: results.filter((r) => r.status !== "ok").length,
+    rows: results,
+  };
+  zip.file("manifest.json", JSON.stringify(manifest, null, 2));
+  zip.file("manifest.csv", Papa.unparse(results, { columns: MANIFEST_COLUMNS }));
+
+  return { zip: await zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" }), manifest };
+}
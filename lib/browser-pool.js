@@ -0,0 +1,128 @@
+// Reusable headless browsers for PDF rendering. Browsers launch lazily on first use, serve many renders
+// (a fresh page per render), and are replaced after `maxRenders` renders, after a crash/disconnect, or
+// closed when idle for `idleMs`. close() shuts everything down (also run on SIGTERM/SIGINT).
+// `size` 0 disables pooling: every render launches and closes its own browser.
+
+export function createBrowserPool({ launch, size = 1, maxRenders = 100, idleMs = 5 * 60 * 1000 }) {
+  // { browser: Promise<Browser>, renders, active, retiring, idleTimer }
+  let entries = [];
+  let closing = false;
+  let hooksInstalled = false;
+
+  const closeEntry = async (entry) => {
+    entries = entries.filter((e) => e !== entry);
+    clearTimeout(entry.idleTimer);
+    try {
+      const browser = await entry.browser;
+      if (browser.connected ?? browser.isConnected()) await browser.close();
+    } catch (err) {
+      console.error("Failed to close pooled browser:", err.message);
+    }
+  };
+
+  const installShutdownHooks = () => {
+    if (hooksInstalled) return;
+    hooksInstalled = true;
+    // Puppeteer also kills its child processes on exit; this closes them gracefully first, then re-raises
+    // the signal (the listener is gone by then) so the process still stops as it would without the pool
+    for (const signal of ["SIGTERM", "SIGINT"]) {
+      process.once(signal, async () => {
+        await pool.close();
+        process.kill(process.pid, signal);
+      });
+    }
+  };
+
+  const launchEntry = () => {
+    installShutdownHooks();
+    const entry = { renders: 0, active: 0, retiring: false, idleTimer: null };
+    entry.browser = launch().then(
+      (browser) => {
+        console.log(`Browser pool: launched browser (${entries.length}/${size})`);
+        // A crashed or killed browser is dropped; the next render launches a replacement
+        browser.on("disconnected", () => {
+          if (entries.includes(entry)) {
+            console.warn("Browser pool: browser disconnected, it will be replaced");
+            entries = entries.filter((e) => e !== entry);
+            clearTimeout(entry.idleTimer);
+          }
+        });
+        return browser;
+      },
+      (err) => {
+        entries = entries.filter((e) => e !== entry);
+        throw err;
+      }
+    );
+    entries.push(entry);
+    return entry;
+  };
+
+  // Least busy live browser; a new one while the pool is below `size`
+  const acquire = () => {
+    const live = entries.filter((e) => !e.retiring);
+    const idle = live.find((e) => e.active === 0);
+    const entry = idle || (live.length < size ? launchEntry() : live.sort((a, b) => a.active - b.active)[0]);
+    clearTimeout(entry.idleTimer);
+    entry.active++;
+    entry.renders++;
+    if (entry.renders >= maxRenders) entry.retiring = true;
+    return entry;
+  };
+
+  const release = (entry) => {
+    entry.active--;
+    if (entry.active > 0 || !entries.includes(entry)) return;
+    if (entry.retiring) {
+      console.log(`Browser pool: recycling browser after ${entry.renders} renders`);
+      closeEntry(entry);
+    } else if (idleMs > 0) {
+      entry.idleTimer = setTimeout(() => closeEntry(entry), idleMs);
+      entry.idleTimer.unref?.();
+    }
+  };
+
+  const pool = {
+    // Run fn(page) on a fresh page; the page is always closed afterwards
+    async withPage(fn) {
+      if (closing) throw new Error("Browser pool is shut down");
+
+      if (size <= 0) {
+        const browser = await launch();
+        try {
+          return await fn(await browser.newPage());
+        } finally {
+          await browser.close();
+        }
+      }
+
+      const entry = acquire();
+      let page = null;
+      try {
+        const browser = await entry.browser;
+        page = await browser.newPage();
+        return await fn(page);
+      } catch (err) {
+        // A render that failed because the browser died should not poison the next one
+        const browser = await entry.browser.catch(() => null);
+        if (browser && !(browser.connected ?? browser.isConnected())) entry.retiring = true;
+        throw err;
+      } finally {
+        if (page) await page.close().catch(() => {});
+        release(entry);
+      }
+    },
+
+    stats: () => ({
+      browsers: entries.length,
+      active: entries.reduce((sum, e) => sum + e.active, 0),
+      renders: entries.map((e) => e.renders),
+    }),
+
+    async close() {
+      closing = true;
+      await Promise.all(entries.map(closeEntry));
+    },
+  };
+  return pool;
+}
@@ -0,0 +1,55 @@
+// Source bullet library: real accomplishments stored per role in the profile, as
+// experience[].bullets = [{ id?, text, tags?, metrics? }]. Tailoring selects, ranks and rephrases them,
+// and each tailored bullet keeps the id of the bullet it came from in experience[].sources (aligned with
+// `details`; null marks a bullet with no source). No Node imports: the editor shows the references.
+
+// Written by the model in front of a bullet it made up instead of taking it from the library
+export const NEW_BULLET = "new";
+
+const SOURCE_PREFIX_RE = /^\s*\[\s*([A-Za-z0-9._-]+)\s*\]\s*/;
+
+// An explicit id, else "<role>.<bullet>" counted from 1 ("2.3": the third bullet of the second role)
+export const sourceBulletId = (bullet, jobIdx, bulletIdx) => bullet.id || `${jobIdx + 1}.${bulletIdx + 1}`;
+
+export const hasBulletLibrary = (profile) =>
+  (profile?.experience || []).some((job) => Array.isArray(job?.bullets) && job.bullets.length > 0);
+
+// { [id]: { text, tags, metrics, company, title } } for every library bullet in the profile; of two bullets
+// with the same id the first wins (validateProfile warns about the repeat)
+export function bulletLibrary(profile) {
+  const library = {};
+  (profile?.experience || []).forEach((job, jobIdx) => {
+    (job.bullets || []).forEach((bullet, bulletIdx) => {
+      const id = sourceBulletId(bullet, jobIdx, bulletIdx);
+      if (library[id]) return;
+      library[id] = {
+        text: bullet.text,
+        tags: bullet.tags || [],
+        metrics: bullet.metrics || [],
+        company: job.company,
+        title: job.title || "",
+      };
+    });
+  });
+  return library;
+}
+
+// Prompt lines for one role's library: "  [2.3] Cut p95 latency ... (tags: performance; metrics: 38% faster)"
+export function formatRoleLibrary(job, jobIdx) {
+  return (job.bullets || []).map((bullet, bulletIdx) => {
+    const facts = [
+      bullet.tags?.length && `tags: ${bullet.tags.join(", ")}`,
+      bullet.metrics?.length && `metrics: ${bullet.metrics.join(", ")}`,
+    ].filter(Boolean);
+    return `  [${sourceBulletId(bullet, jobIdx, bulletIdx)}] ${bullet.text}${facts.length ? ` (${facts.join("; ")})` : ""}`;
+  });
+}
+
+// Split the "[2.3] " / "[new] " prefix off a tailored bullet: { text, source }, where source is a library
+// id or null (marked new, unmarked, or citing an id the library does not have)
+export function readBulletSource(detail, library) {
+  const match = SOURCE_PREFIX_RE.exec(detail);
+  if (!match) return { text: detail, source: null };
+  const id = match[1];
+  return { text: detail.slice(match[0].length), source: id.toLowerCase() !== NEW_BULLET && library[id] ? id : null };
+}
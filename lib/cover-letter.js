@@ -0,0 +1,183 @@
+import responseSchema from "./schemas/cover-letter-response.schema.json";
+import { callLLM } from "./llm";
+import { parseTolerantJson } from "./tolerant-json";
+import { toStrictSchema } from "./resume-response";
+import { compileSchema, describeSchemaErrors } from "./schema-errors";
+import { loadProfile } from "./profiles";
+import { checkGenerationInput } from "./generate";
+import { renderCoverLetterHtml, renderPdf, resolvePaper, buildFileName } from "./render";
+import { renderCoverLetterDocx } from "./docx";
+import { analyzeExperience, formatDateRange } from "./dates";
+import { analyzeJdText } from "./jd-analyzer";
+import { hasSkillInventory, formatInventory } from "./skill-inventory";
+import { hasBulletLibrary, formatRoleLibrary } from "./bullet-library";
+
+// Cover letters from the same profile and JD as the resume: the request checks and profile loading of
+// lib/generate.js, one model call for { greeting, paragraphs, closing } (schemas/cover-letter-response.schema.json),
+// then the letter template paired with the resume template (lib/render.js) and PDF or DOCX output.
+// The letter only states facts the profile has; the model is never asked for metrics or skills it lacks.
+
+export const LETTER_LENGTHS = {
+  short: { label: "Short", paragraphs: 3, minWords: 150, maxWords: 220 },
+  standard: { label: "Standard", paragraphs: 4, minWords: 250, maxWords: 350 },
+  long: { label: "Long", paragraphs: 5, minWords: 380, maxWords: 480 },
+};
+
+export const LETTER_TONES = {
+  professional: { label: "Professional", prompt: "polished and confident, the register of a senior colleague writing to a hiring manager" },
+  warm: { label: "Warm", prompt: "friendly and personable, showing real enthusiasm for the team and its mission without gushing" },
+  direct: { label: "Direct", prompt: "plain and to the point: short sentences, concrete results first, no pleasantries beyond the greeting" },
+  formal: { label: "Formal", prompt: "formal and courteous, suited to traditional industries, government and academia" },
+};
+
+export const DEFAULT_LETTER_LENGTH = "standard";
+export const DEFAULT_LETTER_TONE = "professional";
+
+const validateSchema = compileSchema(responseSchema);
+
+const LETTER_RESPONSE_FORMAT = {
+  type: "json_schema",
+  json_schema: { name: "cover_letter", strict: true, schema: toStrictSchema(responseSchema) },
+};
+
+function checkLetterOptions({ length, tone }) {
+  if (length && !LETTER_LENGTHS[length]) {
+    throw Object.assign(new Error(`Unknown letter length "${length}" (use ${Object.keys(LETTER_LENGTHS).join(", ")})`), { status: 400 });
+  }
+  if (tone && !LETTER_TONES[tone]) {
+    throw Object.assign(new Error(`Unknown letter tone "${tone}" (use ${Object.keys(LETTER_TONES).join(", ")})`), { status: 400 });
+  }
+}
+
+// The profile as the model sees it: roles with dates (and library bullets), skills inventory, education
+function profileText(profileData) {
+  const timeline = analyzeExperience(profileData.experience);
+  const withLibrary = hasBulletLibrary(profileData);
+  return [
+    `${profileData.name}${profileData.title ? `, ${profileData.title}` : ""}`,
+    `Total professional experience: ${timeline.years} years`,
+    "",
+    "EXPERIENCE",
+    ...profileData.experience.flatMap((j, idx) => [
+      `${j.title || "Role"} at ${j.company}${j.location ? ", " + j.location : ""} | ${formatDateRange(j.start_date, j.end_date)}`,
+      ...(withLibrary ? formatRoleLibrary(j, idx) : []),
+    ]),
+    "",
+    "EDUCATION",
+    ...profileData.education.map((e) => `${e.degree}, ${e.school} (${e.start_year}-${e.end_year})`),
+    ...(hasSkillInventory(profileData) ? ["", "SKILLS", formatInventory(profileData.skills)] : []),
+  ].join("\n");
+}
+
+function buildPrompt(profileData, jd, { jobTitle, company, length, tone }) {
+  const { paragraphs, minWords, maxWords } = LETTER_LENGTHS[length];
+  const target = [jobTitle && `the ${jobTitle} role`, company && `at ${company}`].filter(Boolean).join(" ") || "the role below";
+
+  return `Write a cover letter for ${target} on behalf of the candidate below.
+
+RULES:
+1. Tone: ${LETTER_TONES[tone].prompt}.
+2. Length: exactly ${paragraphs} body paragraphs and ${minWords}-${maxWords} words in total, not counting the greeting and closing.
+3. Open with why this role and company, then connect the candidate's most relevant experience to the JD's main requirements, and end with a short call to action.
+4. Use ONLY facts from the candidate profile: companies, titles, dates, degrees, skills and the accomplishments listed under each role. Never invent employers, metrics, certifications or skills the profile does not state.
+5. Mirror the JD's language for requirements the candidate really meets; do not claim the ones they do not.
+6. No em dashes (—), no markdown, no bullet points, no placeholders such as [Company]. Write plain sentences.
+7. greeting is the salutation line (e.g. "Dear Hiring Manager,"); closing is the sign-off without the name (e.g. "Sincerely,").
+
+Return a single JSON object only (no other text, no markdown):
+{"greeting":"<salutation>","paragraphs":["<paragraph>"],"closing":"<sign-off>"}
+
+CANDIDATE PROFILE:
+${profileText(profileData)}
+
+JOB DESCRIPTION:
+${jd}`;
+}
+
+// Bold markers and em dashes the model slipped in anyway
+const cleanText = (s) => String(s).replace(/\*\*([^*]+)\*\*/g, "$1").replace(/\s*—\s*/g, ", ").trim();
+
+function readLetterResponse(text) {
+  let parsed;
+  try {
+    parsed = parseTolerantJson(text);
+  } catch (err) {
+    throw Object.assign(new Error(`AI response had no cover letter JSON (${err.message}). Please try again.`), { status: 502 });
+  }
+  if (parsed.truncated || !validateSchema(parsed.value)) {
+    const detail = parsed.truncated ? "the JSON was cut off" : describeSchemaErrors(validateSchema.errors);
+    throw Object.assign(new Error(`AI response did not match the cover letter format: ${detail}. Please try again.`), { status: 502 });
+  }
+  const { greeting, paragraphs, closing } = parsed.value;
+  return { greeting: cleanText(greeting), paragraphs: paragraphs.map(cleanText).filter(Boolean), closing: cleanText(closing) };
+}
+
+// "Name_Company_JobTitle_CoverLetter", next to the resume's file name
+export const coverLetterFileName = (content) => `${buildFileName(content.name, content.company, content.jobTitle)}_CoverLetter`;
+
+// Letter content -> { html } plus pdfBuffer or docxBuffer for those outputs; no model call, so edited
+// content (from the UI) is re-rendered the same way
+export async function renderCoverLetter(content, { template, output = "json", paper } = {}) {
+  if (!content || !Array.isArray(content.paragraphs)) {
+    throw Object.assign(new Error("Cover letter content with paragraphs required"), { status: 400 });
+  }
+  const templateName = template || "Resume";
+  const paperKey = resolvePaper(paper);
+  const html = renderCoverLetterHtml(content, templateName);
+  if (output === "docx") return { html, docxBuffer: await renderCoverLetterDocx(content, templateName, { paper: paperKey }) };
+  if (output === "pdf") return { html, pdfBuffer: await renderPdf(html, { paper: paperKey }) };
+  return { html };
+}
+
+// profile + JD -> letter. `length` and `tone` pick from LETTER_LENGTHS / LETTER_TONES; `output` is
+// "json" (content + html), "pdf" or "docx". Thrown errors carry the HTTP status for the caller.
+export async function runCoverLetter(
+  { profile, jd, template, jobTitle, companyName, length, tone, output, paper },
+  { signal = null } = {}
+) {
+  const { templateName, paperKey } = checkGenerationInput({ profile, jd, template, paper });
+  checkLetterOptions({ length, tone });
+  const letterLength = length || DEFAULT_LETTER_LENGTH;
+  const letterTone = tone || DEFAULT_LETTER_TONE;
+
+  const profileData = loadProfile(profile);
+
+  // The form's job title and company win; the JD fills in whichever is missing
+  const jdInfo = analyzeJdText(jd);
+  const targetTitle = jobTitle || jdInfo.title;
+  const company = companyName || jdInfo.company;
+
+  const prompt = buildPrompt(profileData, jd, { jobTitle: targetTitle, company, length: letterLength, tone: letterTone });
+  const response = await callLLM(prompt, { maxTokens: 2000, responseFormat: LETTER_RESPONSE_FORMAT, signal });
+  const letter = readLetterResponse(response.choices?.[0]?.message?.content ?? "");
+  console.log(`Cover letter: ${letter.paragraphs.length} paragraph(s), ${letterLength}/${letterTone}`);
+
+  const content = {
+    name: profileData.name,
+    title: profileData.title || targetTitle || "",
+    email: profileData.email,
+    phone: profileData.phone,
+    location: profileData.location,
+    linkedin: profileData.linkedin,
+    website: profileData.website,
+    date: new Date().toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" }),
+    company: company || "",
+    jobTitle: targetTitle || "",
+    ...letter,
+  };
+
+  const rendered = await renderCoverLetter(content, { template: templateName, output, paper: paperKey });
+
+  return {
+    content,
+    template: templateName,
+    fileName: coverLetterFileName(content),
+    meta: {
+      model: response.model,
+      usage: response.usage,
+      length: letterLength,
+      tone: letterTone,
+    },
+    ...rendered,
+  };
+}
@@ -0,0 +1,77 @@
+import { findSkills, countSkill, lookupSkill } from "./skills";
+import { htmlToPlainText } from "./text-export";
+
+// Keyword coverage: which of the JD's skills (from a JD analysis, see lib/jd-analyzer.js) the tailored
+// resume actually mentions, per section, counting synonyms ("JS"/"JavaScript", "Postgres"/"PostgreSQL")
+// as the same skill. Deterministic and model-free. No Node imports: index.js re-scores edits in the browser.
+//
+// score: required skills weigh REQUIRED_WEIGHT, nice-to-have ones 1; null when the JD names no skills.
+// overused: skills written more than OVERUSE_LIMIT times in the summary and experience bullets
+// (listing them in the Skills section is not repetition).
+
+export const COVERAGE_SECTIONS = ["summary", "skills", "experience"];
+const REQUIRED_WEIGHT = 2;
+const OVERUSE_LIMIT = 6;
+
+function sectionTexts(data) {
+  return {
+    summary: [data.title, data.summary].map(htmlToPlainText).join("\n"),
+    skills: Object.entries(data.skills || {})
+      .map(([category, items]) => `${category}: ${(Array.isArray(items) ? items : []).map(htmlToPlainText).join(", ")}`)
+      .join("\n"),
+    experience: (data.experience || [])
+      .map((exp) => [exp.title, ...(exp.details || [])].map(htmlToPlainText).join("\n"))
+      .join("\n"),
+  };
+}
+
+// Skill names in canonical spelling, de-duplicated
+const canonical = (names) => [...new Map((names || []).map((name) => {
+  const label = lookupSkill(name)?.name || String(name).trim();
+  return [label.toLowerCase(), label];
+})).values()].filter(Boolean);
+
+// jdSkills: { requiredSkills, niceToHaveSkills } (an /api/analyze-jd analysis works as is);
+// data: the templateData the resume is rendered from
+export function scoreCoverage(jdSkills, data) {
+  const required = canonical(jdSkills?.requiredSkills);
+  const requiredKeys = new Set(required.map((s) => s.toLowerCase()));
+  const niceToHave = canonical(jdSkills?.niceToHaveSkills).filter((s) => !requiredKeys.has(s.toLowerCase()));
+  const texts = sectionTexts(data || {});
+
+  const terms = [
+    ...required.map((name) => ({ name, required: true })),
+    ...niceToHave.map((name) => ({ name, required: false })),
+  ].map((term) => {
+    const counts = Object.fromEntries(COVERAGE_SECTIONS.map((section) => [section, countSkill(texts[section], term.name)]));
+    return { ...term, count: Object.values(counts).reduce((a, b) => a + b, 0), sections: COVERAGE_SECTIONS.filter((s) => counts[s]) };
+  });
+  const matched = terms.filter((t) => t.count > 0);
+  const missing = terms.filter((t) => t.count === 0).map(({ name, required: isRequired }) => ({ name, required: isRequired }));
+
+  const weight = (t) => (t.required ? REQUIRED_WEIGHT : 1);
+  const total = terms.reduce((sum, t) => sum + weight(t), 0);
+  const score = total ? Math.round((matched.reduce((sum, t) => sum + weight(t), 0) / total) * 100) : null;
+
+  const sections = Object.fromEntries(
+    COVERAGE_SECTIONS.map((section) => {
+      const found = terms.filter((t) => t.sections.includes(section)).length;
+      return [section, { matched: found, total: terms.length, percent: terms.length ? Math.round((found / terms.length) * 100) : null }];
+    })
+  );
+
+  const prose = `${texts.summary}\n${texts.experience}`;
+  const overused = findSkills(prose)
+    .map(({ name }) => ({ name, count: countSkill(prose, name) }))
+    .filter((t) => t.count > OVERUSE_LIMIT)
+    .sort((a, b) => b.count - a.count);
+
+  return {
+    score,
+    jdSkills: { requiredSkills: required, niceToHaveSkills: niceToHave },
+    matched,
+    missing,
+    overused,
+    sections,
+  };
+}
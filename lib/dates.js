@@ -0,0 +1,163 @@
+// Date parsing/normalization shared by the prompt builder, templates and profile validation.
+// Profiles use "Apr 2024", "April 2013", "Sept 2020", "04/2024", "2010" and "Present",
+// sometimes with an employment type suffix ("Oct 2018 - Contract").
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+const MONTH_LOOKUP = {
+  jan: 1, january: 1,
+  feb: 2, february: 2,
+  mar: 3, march: 3,
+  apr: 4, april: 4,
+  may: 5,
+  jun: 6, june: 6,
+  jul: 7, july: 7,
+  aug: 8, august: 8,
+  sep: 9, sept: 9, september: 9,
+  oct: 10, october: 10,
+  nov: 11, november: 11,
+  dec: 12, december: 12,
+};
+
+const PRESENT_RE = /^(present|current|now|today)$/i;
+const QUALIFIER_RE = /\s*[-–(]\s*(contract|freelance|part[- ]time|internship)\)?\s*$/i;
+
+const currentYearMonth = () => {
+  const now = new Date();
+  return { year: now.getFullYear(), month: now.getMonth() + 1 };
+};
+
+// Parse a profile date string.
+// Returns { year, month, precision: "month" | "year", present, qualifier } or null when unrecognised.
+// Year-only values resolve to January, or December when parsed as an end date ({ end: true }).
+export function parseDate(value, { end = false } = {}) {
+  if (typeof value !== "string" && typeof value !== "number") return null;
+  let text = String(value).trim();
+
+  let qualifier = "";
+  const q = text.match(QUALIFIER_RE);
+  if (q) {
+    qualifier = q[1].charAt(0).toUpperCase() + q[1].slice(1).toLowerCase();
+    text = text.slice(0, q.index).trim();
+  }
+
+  if (PRESENT_RE.test(text)) return { ...currentYearMonth(), precision: "month", present: true, qualifier };
+
+  let m = text.match(/^([A-Za-z]+)\.?,?\s+(\d{4})$/);
+  if (m && MONTH_LOOKUP[m[1].toLowerCase()]) {
+    return { year: Number(m[2]), month: MONTH_LOOKUP[m[1].toLowerCase()], precision: "month", present: false, qualifier };
+  }
+
+  m = text.match(/^(\d{1,2})\/(\d{4})$/) || text.match(/^(\d{4})-(\d{2})$/);
+  if (m) {
+    const [year, month] = m[1].length === 4 ? [m[1], m[2]] : [m[2], m[1]];
+    if (Number(month) >= 1 && Number(month) <= 12) {
+      return { year: Number(year), month: Number(month), precision: "month", present: false, qualifier };
+    }
+    return null;
+  }
+
+  m = text.match(/^(\d{4})$/);
+  if (m) return { year: Number(m[1]), month: end ? 12 : 1, precision: "year", present: false, qualifier };
+
+  return null;
+}
+
+// "Apr 2024" -> "2024-04"; "Present" -> "present"
+export function toYearMonth(value, options) {
+  const d = parseDate(value, options);
+  if (!d) return null;
+  if (d.present) return "present";
+  return `${d.year}-${String(d.month).padStart(2, "0")}`;
+}
+
+// Display form used everywhere: "Apr 2024", "2010", "Present". Unrecognised values are returned trimmed as-is.
+export function formatDate(value) {
+  const d = parseDate(value);
+  if (!d) return typeof value === "string" ? value.trim() : value == null ? "" : String(value);
+  if (d.present) return "Present";
+  if (d.precision === "year") return String(d.year);
+  return `${MONTHS[d.month - 1]} ${d.year}`;
+}
+
+// "Nov 2017", "Oct 2018 - Contract" -> "Nov 2017 – Oct 2018 (Contract)"
+export function formatDateRange(start, end) {
+  const qualifier = parseDate(end)?.qualifier || parseDate(start)?.qualifier;
+  const range = [formatDate(start), formatDate(end)].filter(Boolean).join(" – ");
+  return qualifier ? `${range} (${qualifier})` : range;
+}
+
+const toIndex = (d) => d.year * 12 + (d.month - 1);
+const fromIndex = (idx) => `${MONTHS[idx % 12]} ${Math.floor(idx / 12)}`;
+
+const isInternship = (job) => /\bintern(ship)?\b/i.test(job?.title || "") || /internship/i.test(job?.end_date || "");
+
+// Inclusive month ranges for each job; entries with unparseable or reversed dates are reported, not counted
+function jobRanges(experience) {
+  const ranges = [];
+  const invalid = [];
+  (Array.isArray(experience) ? experience : []).forEach((job, index) => {
+    const start = parseDate(job?.start_date);
+    const end = parseDate(job?.end_date, { end: true });
+    if (!start || !end) {
+      invalid.push({ index, kind: "unrecognised", reason: `unrecognised date "${!start ? job?.start_date : job?.end_date}"` });
+      return;
+    }
+    if (toIndex(end) < toIndex(start)) {
+      invalid.push({ index, kind: "reversed", reason: `ends (${formatDate(job.end_date)}) before it starts (${formatDate(job.start_date)})` });
+      return;
+    }
+    ranges.push({ index, start: toIndex(start), end: toIndex(end), internship: isInternship(job) });
+  });
+  return { ranges, invalid };
+}
+
+function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const r of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && r.start <= last.end + 1) last.end = Math.max(last.end, r.end);
+    else merged.push({ start: r.start, end: r.end });
+  }
+  return merged;
+}
+
+// Timeline summary for a profile's experience[]:
+// - totalMonths/years: overlapping ranges merged, gaps not counted, internships excluded unless includeInternships
+// - gaps: periods of at least minGapMonths with no role at all
+// - overlaps: pairs of roles held at the same time for at least minOverlapMonths (a shared hand-over month is normal)
+// - invalid: entries whose dates could not be used
+export function analyzeExperience(
+  experience,
+  { includeInternships = false, minGapMonths = 3, minOverlapMonths = 2 } = {}
+) {
+  const { ranges, invalid } = jobRanges(experience);
+  const counted = includeInternships ? ranges : ranges.filter((r) => !r.internship);
+  const totalMonths = mergeRanges(counted).reduce((sum, r) => sum + (r.end - r.start + 1), 0);
+
+  const gaps = [];
+  const timeline = mergeRanges(ranges);
+  for (let i = 1; i < timeline.length; i++) {
+    const months = timeline[i].start - timeline[i - 1].end - 1;
+    if (months >= minGapMonths) {
+      gaps.push({ from: fromIndex(timeline[i - 1].end + 1), to: fromIndex(timeline[i].start - 1), months });
+    }
+  }
+
+  const overlaps = [];
+  for (let i = 0; i < ranges.length; i++) {
+    for (let j = i + 1; j < ranges.length; j++) {
+      const months = Math.min(ranges[i].end, ranges[j].end) - Math.max(ranges[i].start, ranges[j].start) + 1;
+      if (months >= minOverlapMonths) {
+        const [a, b] = [ranges[i].index, ranges[j].index].sort((x, y) => x - y);
+        overlaps.push({ a, b, months });
+      }
+    }
+  }
+
+  return { totalMonths, years: Math.floor(totalMonths / 12), gaps, overlaps, invalid };
+}
+
+export function yearsOfExperience(experience, options) {
+  return analyzeExperience(experience, options).years;
+}
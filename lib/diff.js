@@ -0,0 +1,79 @@
+import { htmlToMarkdown } from "./markup";
+
+// Diff two saved runs section by section (summary words, skills per category, bullets per role)
+
+// LCS-based diff of two token arrays -> [{ type: "same" | "added" | "removed", value }]
+export function diffTokens(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      out.push({ type: "same", value: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      out.push({ type: "removed", value: a[i++] });
+    } else {
+      out.push({ type: "added", value: b[j++] });
+    }
+  }
+  while (i < n) out.push({ type: "removed", value: a[i++] });
+  while (j < m) out.push({ type: "added", value: b[j++] });
+  return out;
+}
+
+const plain = (html) => htmlToMarkdown(html).replace(/\*\*/g, "").trim();
+const words = (html) => plain(html).split(/\s+/).filter(Boolean);
+const roleKey = (exp) => `${(exp.company || "").toLowerCase()}|${(exp.title || "").toLowerCase()}`;
+
+function diffSkills(a = {}, b = {}) {
+  const categories = [...new Set([...Object.keys(a), ...Object.keys(b)])];
+  return categories.map((category) => {
+    const before = a[category] || [];
+    const after = b[category] || [];
+    return {
+      category,
+      status: !a[category] ? "added" : !b[category] ? "removed" : "same",
+      added: after.filter((s) => !before.includes(s)),
+      removed: before.filter((s) => !after.includes(s)),
+    };
+  });
+}
+
+function diffExperience(a = [], b = []) {
+  const keys = [...new Set([...a.map(roleKey), ...b.map(roleKey)])];
+  return keys.map((key) => {
+    const before = a.find((exp) => roleKey(exp) === key);
+    const after = b.find((exp) => roleKey(exp) === key);
+    const role = after || before;
+    return {
+      company: role.company,
+      title: role.title,
+      status: !before ? "added" : !after ? "removed" : "same",
+      bullets: diffTokens((before?.details || []).map(plain), (after?.details || []).map(plain)),
+    };
+  });
+}
+
+export function diffRuns(runA, runB) {
+  const a = runA.content || {};
+  const b = runB.content || {};
+  return {
+    a: { id: runA.id, createdAt: runA.createdAt, companyName: runA.companyName, jobTitle: runA.jobTitle, template: runA.template, model: runA.model },
+    b: { id: runB.id, createdAt: runB.createdAt, companyName: runB.companyName, jobTitle: runB.jobTitle, template: runB.template, model: runB.model },
+    title: diffTokens(words(a.title), words(b.title)),
+    summary: diffTokens(words(a.summary), words(b.summary)),
+    skills: diffSkills(a.skills, b.skills),
+    experience: diffExperience(a.experience, b.experience),
+  };
+}
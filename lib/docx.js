@@ -0,0 +1,300 @@
+import {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  ExternalHyperlink,
+  HeadingLevel,
+  AlignmentType,
+  LevelFormat,
+  BorderStyle,
+  ShadingType,
+  Tab,
+  TabStopType,
+  convertMillimetersToTwip,
+} from "docx";
+import { templateExists, readTemplateBlock, resolvePaper, PAPER_SIZES, PAGE_MARGIN_MM } from "./render";
+import { formatDateRange } from "./dates";
+import { decodeEntities } from "./markup";
+
+// Word export: the same templateData the Handlebars templates get, written as a real .docx
+// (Title/Heading styles, bullet numbering, bold runs from <strong>, hyperlinks) instead of a printed page.
+// Fonts, colours, heading look and section labels come from the template's
+// <script type="application/json" id="resume-docx"> block, so each template has a matching Word style.
+
+const DEFAULT_STYLE = {
+  font: "Calibri",
+  size: 10.5,
+  color: "2d2d2d",
+  accent: "3d3d3d",
+  heading: "rule",
+  sections: { summary: "Summary", skills: "Skills", experience: "Experience", education: "Education" },
+};
+
+export const DOCX_MIME = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+const BULLETS = "resume-bullets";
+
+export function templateDocxStyle(templateName) {
+  const block = readTemplateBlock(templateName, "resume-docx") || {};
+  return { ...DEFAULT_STYLE, ...block, sections: { ...DEFAULT_STYLE.sections, ...block.sections } };
+}
+
+// Inline HTML from the model (<strong>/<b>, <em>/<i>, <a href>) -> runs; any other tag is dropped
+function inlineRuns(html) {
+  const children = [];
+  let bold = 0;
+  let italics = 0;
+  let link = null;
+  const push = (text) => {
+    if (!text) return;
+    const run = new TextRun({
+      text: decodeEntities(text),
+      ...(bold > 0 && { bold: true }),
+      ...(italics > 0 && { italics: true }),
+      ...(link && { style: "Hyperlink" }),
+    });
+    if (link) link.children.push(run);
+    else children.push(run);
+  };
+
+  const tagRe = /<(\/?)([a-z][a-z0-9]*)\b([^>]*)>/gi;
+  let last = 0;
+  let match;
+  const source = String(html ?? "");
+  while ((match = tagRe.exec(source))) {
+    push(source.slice(last, match.index));
+    last = tagRe.lastIndex;
+    const [, closing, tag, attrs] = match;
+    const name = tag.toLowerCase();
+    if (name === "strong" || name === "b") bold += closing ? -1 : 1;
+    else if (name === "em" || name === "i") italics += closing ? -1 : 1;
+    else if (name === "a" && !closing) {
+      const href = /href\s*=\s*["']([^"']+)["']/i.exec(attrs)?.[1];
+      if (href) link = { href: decodeEntities(href), children: [] };
+    } else if (name === "a" && link) {
+      children.push(new ExternalHyperlink({ link: link.href, children: link.children }));
+      link = null;
+    }
+    bold = Math.max(bold, 0);
+    italics = Math.max(italics, 0);
+  }
+  push(source.slice(last));
+  if (link) children.push(new ExternalHyperlink({ link: link.href, children: link.children }));
+  return children;
+}
+
+const withScheme = (url) => (/^[a-z]+:/i.test(url) ? url : `https://${url}`);
+
+function contactLine(data) {
+  const items = [];
+  if (data.email) items.push(new ExternalHyperlink({ link: `mailto:${data.email}`, children: [new TextRun({ text: data.email, style: "Hyperlink" })] }));
+  if (data.phone) items.push(new TextRun(data.phone));
+  if (data.location) items.push(new TextRun(data.location));
+  for (const url of [data.linkedin, data.website]) {
+    if (url) items.push(new ExternalHyperlink({ link: withScheme(url), children: [new TextRun({ text: url, style: "Hyperlink" })] }));
+  }
+  return new Paragraph({
+    alignment: AlignmentType.CENTER,
+    spacing: { after: 160 },
+    children: items.flatMap((item, idx) => (idx ? [new TextRun(" • "), item] : [item])),
+  });
+}
+
+const heading = (text) => new Paragraph({ heading: HeadingLevel.HEADING_1, children: [new TextRun(text)] });
+
+// "Left text<tab>right text" with the right part flush against the right margin
+const splitLine = (left, right, rightEdge, options = {}) =>
+  new Paragraph({
+    keepNext: true,
+    tabStops: [{ type: TabStopType.RIGHT, position: rightEdge }],
+    ...options,
+    children: [...left, ...(right ? [new TextRun({ children: [new Tab(), right] })] : [])],
+  });
+
+function documentStyles(style) {
+  const pt = (points) => Math.round(points * 2);
+  const headingRule = style.heading === "bar"
+    ? { shading: { type: ShadingType.CLEAR, fill: style.accent, color: "auto" } }
+    : { border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: style.accent, space: 1 } } };
+
+  return {
+    default: {
+      document: { run: { font: style.font, size: pt(style.size), color: style.color }, paragraph: { spacing: { after: 40 } } },
+    },
+    paragraphStyles: [
+      {
+        id: "Title",
+        name: "Title",
+        basedOn: "Normal",
+        next: "Normal",
+        run: { font: style.font, size: pt(style.size * 2.2), bold: true, color: style.accent },
+        paragraph: { alignment: AlignmentType.CENTER, spacing: { after: 40 } },
+      },
+      {
+        id: "Subtitle",
+        name: "Subtitle",
+        basedOn: "Normal",
+        next: "Normal",
+        run: { font: style.font, size: pt(style.size * 1.2), color: style.accent },
+        paragraph: { alignment: AlignmentType.CENTER, spacing: { after: 60 } },
+      },
+      {
+        id: "Heading1",
+        name: "Heading 1",
+        basedOn: "Normal",
+        next: "Normal",
+        quickFormat: true,
+        run: { font: style.font, size: pt(style.size * 1.1), bold: true, allCaps: true, color: style.heading === "bar" ? "FFFFFF" : style.accent },
+        paragraph: { keepNext: true, spacing: { before: 200, after: 80 }, ...headingRule },
+      },
+    ],
+    characterStyles: [
+      { id: "Hyperlink", name: "Hyperlink", basedOn: "DefaultParagraphFont", run: { color: style.accent, underline: {} } },
+    ],
+  };
+}
+
+// templateData -> .docx Buffer, styled after `templateName` and sized for `paper`
+export async function renderDocx(data, templateName = "Resume", { paper = "a4" } = {}) {
+  if (!templateExists(templateName)) {
+    throw Object.assign(new Error(`Template "${templateName}" not found`), { status: 404 });
+  }
+  const style = templateDocxStyle(templateName);
+  const size = PAPER_SIZES[resolvePaper(paper)];
+  const margin = convertMillimetersToTwip(PAGE_MARGIN_MM);
+  const rightEdge = convertMillimetersToTwip(size.widthMm) - 2 * margin;
+  const labels = style.sections;
+
+  const children = [new Paragraph({ heading: HeadingLevel.TITLE, children: [new TextRun(data.name || "")] })];
+  if (data.title) children.push(new Paragraph({ style: "Subtitle", children: [new TextRun(data.title)] }));
+  children.push(contactLine(data));
+
+  if (data.summary) {
+    children.push(heading(labels.summary), new Paragraph({ children: inlineRuns(data.summary) }));
+  }
+
+  const skills = Object.entries(data.skills || {}).filter(([, items]) => Array.isArray(items) && items.length);
+  if (skills.length) {
+    children.push(heading(labels.skills));
+    for (const [category, items] of skills) {
+      children.push(new Paragraph({ children: [new TextRun({ text: `${category}: `, bold: true }), new TextRun(items.join(", "))] }));
+    }
+  }
+
+  if (data.experience?.length) {
+    children.push(heading(labels.experience));
+    data.experience.forEach((exp, idx) => {
+      children.push(
+        splitLine([new TextRun({ text: exp.title || "", bold: true })], formatDateRange(exp.start_date, exp.end_date), rightEdge, {
+          spacing: { before: idx ? 120 : 0 },
+        }),
+        new Paragraph({
+          keepNext: exp.details?.length > 0,
+          children: [new TextRun({ text: [exp.company, exp.location].filter(Boolean).join(", "), italics: true })],
+        })
+      );
+      for (const bullet of exp.details || []) {
+        children.push(new Paragraph({ numbering: { reference: BULLETS, level: 0 }, children: inlineRuns(bullet) }));
+      }
+    });
+  }
+
+  if (data.education?.length) {
+    children.push(heading(labels.education));
+    for (const edu of data.education) {
+      const years = [edu.start_year, edu.end_year].filter(Boolean).join(" – ");
+      children.push(
+        splitLine([new TextRun({ text: edu.degree || "", bold: true })], years, rightEdge),
+        new Paragraph({ children: [new TextRun(`${edu.school || ""}${edu.grade ? ` • GPA: ${edu.grade}` : ""}`)] })
+      );
+    }
+  }
+
+  const doc = new Document({
+    creator: data.name || "",
+    title: `${data.name || ""} — Resume`,
+    styles: documentStyles(style),
+    numbering: {
+      config: [
+        {
+          reference: BULLETS,
+          levels: [
+            {
+              level: 0,
+              format: LevelFormat.BULLET,
+              text: "•",
+              alignment: AlignmentType.LEFT,
+              style: { paragraph: { indent: { left: 360, hanging: 240 } } },
+            },
+          ],
+        },
+      ],
+    },
+    sections: [
+      {
+        properties: {
+          page: {
+            size: { width: convertMillimetersToTwip(size.widthMm), height: convertMillimetersToTwip(size.heightMm) },
+            margin: { top: margin, bottom: margin, left: margin, right: margin },
+          },
+        },
+        children,
+      },
+    ],
+  });
+
+  return Packer.toBuffer(doc);
+}
+
+// Cover letter content (lib/cover-letter.js) -> .docx Buffer with the same header and styles as the
+// resume's Word export for `templateName`
+export async function renderCoverLetterDocx(content, templateName = "Resume", { paper = "a4" } = {}) {
+  if (!templateExists(templateName)) {
+    throw Object.assign(new Error(`Template "${templateName}" not found`), { status: 404 });
+  }
+  const style = templateDocxStyle(templateName);
+  const size = PAPER_SIZES[resolvePaper(paper)];
+  const margin = convertMillimetersToTwip(PAGE_MARGIN_MM);
+  const gap = { spacing: { after: 200 } };
+
+  const children = [new Paragraph({ heading: HeadingLevel.TITLE, children: [new TextRun(content.name || "")] })];
+  if (content.title) children.push(new Paragraph({ style: "Subtitle", children: [new TextRun(content.title)] }));
+  children.push(contactLine(content));
+
+  children.push(new Paragraph({ spacing: { before: 240, after: 240 }, children: [new TextRun(content.date || "")] }));
+  const recipient = ["Hiring Team", content.company].filter(Boolean);
+  recipient.forEach((line, idx) => {
+    children.push(new Paragraph({ ...(idx === recipient.length - 1 && !content.jobTitle && gap), children: [new TextRun(line)] }));
+  });
+  if (content.jobTitle) {
+    children.push(new Paragraph({ ...gap, children: [new TextRun({ text: `Re: ${content.jobTitle}`, bold: true, color: style.accent })] }));
+  }
+
+  children.push(new Paragraph({ ...gap, children: [new TextRun(content.greeting || "")] }));
+  for (const paragraph of content.paragraphs || []) {
+    children.push(new Paragraph({ ...gap, children: inlineRuns(paragraph) }));
+  }
+  children.push(
+    new Paragraph({ keepNext: true, spacing: { after: 480 }, children: [new TextRun(content.closing || "")] }),
+    new Paragraph({ children: [new TextRun({ text: content.name || "", bold: true, color: style.accent })] })
+  );
+
+  const doc = new Document({
+    creator: content.name || "",
+    title: `${content.name || ""} — Cover Letter`,
+    styles: documentStyles(style),
+    sections: [
+      {
+        properties: {
+          page: {
+            size: { width: convertMillimetersToTwip(size.widthMm), height: convertMillimetersToTwip(size.heightMm) },
+            margin: { top: margin, bottom: margin, left: margin, right: margin },
+          },
+        },
+        children,
+      },
+    ],
+  });
+
+  return Packer.toBuffer(doc);
+}
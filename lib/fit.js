@@ -0,0 +1,185 @@
+import {
+  renderHtml,
+  readTemplateBlock,
+  withRenderPage,
+  printPdf,
+  countPdfPages,
+  resolvePaper,
+  PAPER_SIZES,
+  PAGE_MARGIN_MM,
+  mmToPx,
+} from "./render";
+
+// Page-count control for PDF output. With a target of 1 or 2 pages the rendered height is measured and,
+// in order, until it fits:
+//   1. spacing (vertical margins/padding) is tightened, down to the template's `spacing` limit
+//   2. font size (and line height with it) is reduced, down to the template's `font` limit
+//   3. the last bullet of the oldest role with more than MIN_BULLETS_PER_ROLE is removed, repeatedly
+// Limits come from the template's <script type="application/json" id="resume-fit"> block.
+// The printed PDF's page count has the final word; the layout measurement only decides when to print.
+
+const DEFAULT_LIMITS = { spacing: 0.6, font: 0.9 };
+const SPACING_STEP = 0.1;
+const FONT_STEP = 0.02;
+const MIN_BULLETS_PER_ROLE = 2;
+
+// 1, 2 or null (unlimited); thrown errors carry status 400
+export function parsePageTarget(value) {
+  if (value === undefined || value === null || value === "" || value === 0 || value === "0" || value === "unlimited") return null;
+  const pages = Number(value);
+  if (pages !== 1 && pages !== 2) {
+    throw Object.assign(new Error(`Page target must be 1, 2 or unlimited (got "${value}")`), { status: 400 });
+  }
+  return pages;
+}
+
+function templateFitLimits(templateName) {
+  return { ...DEFAULT_LIMITS, ...readTemplateBlock(templateName, "resume-fit") };
+}
+
+// Scale factors from 1 down to `min` in `step`s, e.g. (0.6, 0.1) -> [0.9, 0.8, 0.7, 0.6]
+const scaleSteps = (min, step) => {
+  const steps = [];
+  for (let i = 1; +(1 - i * step).toFixed(2) >= min; i++) steps.push(+(1 - i * step).toFixed(2));
+  return steps;
+};
+
+// Runs in the page: scale every element's vertical spacing and font size from its original computed values
+function applyScale(spacing, font) {
+  const elements = [document.body, ...document.body.querySelectorAll("*")];
+  // Record the template's own values once, before anything is overridden
+  for (const el of elements) {
+    if (el.dataset.fitBase) continue;
+    const cs = getComputedStyle(el);
+    el.dataset.fitBase = JSON.stringify({
+      marginTop: parseFloat(cs.marginTop),
+      marginBottom: parseFloat(cs.marginBottom),
+      paddingTop: parseFloat(cs.paddingTop),
+      paddingBottom: parseFloat(cs.paddingBottom),
+      rowGap: parseFloat(cs.rowGap) || 0,
+      fontSize: parseFloat(cs.fontSize),
+      lineHeight: cs.lineHeight === "normal" ? null : parseFloat(cs.lineHeight),
+    });
+  }
+  for (const el of elements) {
+    const base = JSON.parse(el.dataset.fitBase);
+    // Negative margins position things (e.g. a header pulled into the page margin); leave them alone
+    for (const prop of ["marginTop", "marginBottom", "paddingTop", "paddingBottom", "rowGap"]) {
+      if (base[prop] > 0) el.style[prop] = `${base[prop] * spacing}px`;
+    }
+    el.style.fontSize = `${base.fontSize * font}px`;
+    if (base.lineHeight) el.style.lineHeight = `${base.lineHeight * font}px`;
+  }
+}
+
+// Remove the lowest-priority bullet: the last one of the oldest role that still has more than the minimum
+function trimBullet(data) {
+  const experience = data.experience || [];
+  for (let idx = experience.length - 1; idx >= 0; idx--) {
+    const details = experience[idx].details || [];
+    if (details.length > MIN_BULLETS_PER_ROLE) {
+      const removed = { company: experience[idx].company, title: experience[idx].title, bullet: details[details.length - 1] };
+      const trimmed = { ...experience[idx], details: details.slice(0, -1) };
+      // Source references (lib/bullet-library.js) stay aligned with the bullets
+      if (Array.isArray(trimmed.sources)) trimmed.sources = trimmed.sources.slice(0, details.length - 1);
+      const next = experience.map((exp, i) => (i === idx ? trimmed : exp));
+      return { data: { ...data, experience: next }, removed };
+    }
+  }
+  return null;
+}
+
+const stripTags = (html) => String(html).replace(/<[^>]+>/g, "");
+const percent = (factor) => `${Math.round(factor * 100)}%`;
+
+function describeChanges(report) {
+  const changes = [];
+  if (report.spacing < 1) changes.push(`Spacing tightened to ${percent(report.spacing)}`);
+  if (report.font < 1) changes.push(`Font size reduced to ${percent(report.font)}`);
+  const byRole = new Map();
+  for (const cut of report.trimmed) {
+    const key = `${cut.title ? `${cut.title}, ` : ""}${cut.company}`;
+    byRole.set(key, (byRole.get(key) || 0) + 1);
+  }
+  for (const [role, count] of byRole) changes.push(`Removed ${count} bullet${count === 1 ? "" : "s"} from ${role}`);
+  if (!report.fits) {
+    changes.push(`Still ${report.pages} page${report.pages === 1 ? "" : "s"}: nothing left to tighten or trim within the template's limits`);
+  } else if (!changes.length) {
+    changes.push("Fits without changes");
+  }
+  return changes;
+}
+
+// Render templateData as a PDF on `paper`, fitted to `pages` (1, 2 or null for unlimited).
+// Returns { pdf, data (templateData with trimmed bullets removed), report }.
+export function renderFittedPdf(templateData, templateName, { paper = "a4", pages = null } = {}) {
+  const paperKey = resolvePaper(paper);
+  const target = parsePageTarget(pages);
+  const size = PAPER_SIZES[paperKey];
+  const limits = templateFitLimits(templateName);
+
+  return withRenderPage(async (page) => {
+    let data = templateData;
+    const report = { paper: paperKey, targetPages: target, pages: 0, fits: true, spacing: 1, font: 1, trimmed: [], changes: [] };
+
+    // Lay out at the printed width so measured heights match the PDF; a short viewport keeps
+    // scrollHeight down to the content's own height
+    await page.setViewport({ width: Math.round(mmToPx(size.widthMm)), height: 100 });
+    await page.emulateMediaType("print");
+    // Reloads after trimming hit the browser cache, so waiting for fonts is enough there
+    let loaded = false;
+    const load = async () => {
+      await page.setContent(renderHtml(data, templateName), { waitUntil: loaded ? "load" : "networkidle0" });
+      if (loaded) await page.evaluate(() => document.fonts.ready);
+      loaded = true;
+      if (report.spacing < 1 || report.font < 1) await page.evaluate(applyScale, report.spacing, report.font);
+    };
+    await load();
+
+    if (!target) {
+      const pdf = await printPdf(page, paperKey);
+      report.pages = countPdfPages(pdf);
+      return { pdf, data, report };
+    }
+
+    const pageHeight = mmToPx(size.heightMm - 2 * PAGE_MARGIN_MM);
+    // A PDF when the content fits in `target` pages, otherwise null
+    const tryFit = async () => {
+      const height = await page.evaluate(() => document.documentElement.scrollHeight);
+      if (Math.ceil(height / pageHeight) > target) return null;
+      const pdf = await printPdf(page, paperKey);
+      return countPdfPages(pdf) <= target ? pdf : null;
+    };
+
+    let pdf = await tryFit();
+    for (const spacing of scaleSteps(limits.spacing, SPACING_STEP)) {
+      if (pdf) break;
+      report.spacing = spacing;
+      await page.evaluate(applyScale, report.spacing, report.font);
+      pdf = await tryFit();
+    }
+    for (const font of scaleSteps(limits.font, FONT_STEP)) {
+      if (pdf) break;
+      report.font = font;
+      await page.evaluate(applyScale, report.spacing, report.font);
+      pdf = await tryFit();
+    }
+    while (!pdf) {
+      const cut = trimBullet(data);
+      if (!cut) break;
+      data = cut.data;
+      report.trimmed.push({ ...cut.removed, bullet: stripTags(cut.removed.bullet) });
+      await load();
+      pdf = await tryFit();
+    }
+
+    if (!pdf) {
+      report.fits = false;
+      pdf = await printPdf(page, paperKey);
+    }
+    report.pages = countPdfPages(pdf);
+    report.changes = describeChanges(report);
+    console.log(`Auto-fit (${paperKey}, ${target} page target): ${report.pages} page(s)`, report.changes);
+    return { pdf, data, report };
+  });
+}
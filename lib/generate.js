@@ -0,0 +1,147 @@
+import { loadProfile } from "./profiles";
+import { validateProfile, formatIssue } from "./validate-profile";
+import { tailorResume } from "./tailor";
+import { templateExists, buildTemplateData, renderHtml, resolvePaper, buildFileName } from "./render";
+import { renderFittedPdf, parsePageTarget } from "./fit";
+import { renderDocx } from "./docx";
+import { createRun, updateRun, saveRunPdf } from "./history";
+import { checkGrounding, assertExportable } from "./grounding";
+import { analyzeJdText } from "./jd-analyzer";
+import { scoreCoverage } from "./coverage";
+import { SKILLS_MODES, hasSkillInventory, findSkillGaps } from "./skill-inventory";
+import { hasBulletLibrary, bulletLibrary } from "./bullet-library";
+import { loadPreset, DEFAULT_PRESET } from "./presets";
+
+// Request checks that run before any model call, shared with /api/cover-letter (lib/cover-letter.js):
+// profile and JD are required, the template must exist and the paper size must be known.
+// Returns { templateName, paperKey }; thrown errors carry the HTTP status.
+export function checkGenerationInput({ profile, jd, template, paper }) {
+  if (!profile) throw Object.assign(new Error("Profile required"), { status: 400 });
+  if (!jd) throw Object.assign(new Error("Job description required"), { status: 400 });
+
+  // Default to Resume.html if no template specified
+  const templateName = template || "Resume";
+
+  // Check the template before spending a model call on it
+  if (!templateExists(templateName)) {
+    console.error(`Template not found: ${templateName}.html`);
+    throw Object.assign(new Error(`Template "${templateName}" not found`), { status: 404 });
+  }
+
+  // Bad PDF options fail before the model call too
+  return { templateName, paperKey: resolvePaper(paper) };
+}
+
+// The generate pipeline shared by /api/generate and /api/generate/stream:
+// profile -> model -> parse/validate -> grounding -> HTML -> history run (-> PDF or DOCX when output is "pdf"/"docx").
+// `onProgress(stage, data)` receives, in order: profile, model, tokens, parsed (model/tokens/parsed repeat
+// on retries and repairs), warnings, html, pdf | docx. Thrown errors carry the HTTP status for the caller.
+// PDFs are printed on `paper` and auto-fitted to `pages` (lib/fit.js); the fit report is returned as `fit`.
+// `skillsMode` (lib/skill-inventory.js) defaults to "inventory" for profiles with a skills inventory; those
+// runs also return `skillGaps`, the JD skills the inventory lacks. Profiles with source bullets return the
+// library as `bulletLibrary` ({ [id]: { text, ... } }) for the experience[].sources references.
+// In `strict` mode PDF and DOCX output is refused (409, after the run is saved) while a grounding issue is
+// not listed in `acceptedIssues`; the JSON preview is still returned so the claims can be reviewed.
+export async function runGeneration(
+  { profile, jd, template, jobTitle, companyName, output, preset, headline, paper, pages, skillsMode, strict, acceptedIssues },
+  { signal = null, onProgress = null } = {}
+) {
+  const report = (stage, data) => onProgress?.(stage, data);
+
+  const { templateName, paperKey } = checkGenerationInput({ profile, jd, template, paper });
+  const pageTarget = parsePageTarget(pages);
+
+  if (skillsMode && !SKILLS_MODES.includes(skillsMode)) {
+    throw Object.assign(new Error(`Unknown skills mode "${skillsMode}" (use ${SKILLS_MODES.join(" or ")})`), { status: 400 });
+  }
+
+  // "<id>" uses the latest version, "<id>@<version>" pins one
+  const promptPreset = loadPreset(preset || DEFAULT_PRESET);
+
+  const profileData = loadProfile(profile);
+  const profileWarnings = onProgress ? validateProfile(profileData).warnings.map(formatIssue) : [];
+  report("profile", { name: profileData.name, warnings: profileWarnings });
+
+  const hasInventory = hasSkillInventory(profileData);
+  if (skillsMode === "inventory" && !hasInventory) {
+    throw Object.assign(new Error(`Profile "${profile}" has no skills inventory`), { status: 400 });
+  }
+  const effectiveSkillsMode = skillsMode || (hasInventory ? "inventory" : "jd");
+
+  const { resumeContent, meta } = await tailorResume(profileData, jd, promptPreset, {
+    headline,
+    jobTitle,
+    skillsMode: effectiveSkillsMode,
+    signal,
+    onProgress,
+  });
+
+  const templateData = buildTemplateData(profileData, resumeContent);
+
+  // Claims (companies, titles, dates, degrees, metrics) the profile does not back up
+  const grounding = checkGrounding(profileData, templateData);
+  if (grounding.length) console.warn(`Grounding check: ${grounding.length} unverified claim(s) for ${profileData.name}`);
+  report("warnings", { profile: profileWarnings, grounding: grounding.length, repairs: meta.repairs, retried: meta.retried });
+
+  // How many of the JD's skills made it into the resume (lib/coverage.js), and which ones the candidate lacks
+  const jdSkills = analyzeJdText(jd);
+  const coverage = scoreCoverage(jdSkills, templateData);
+  const skillGaps = hasInventory ? findSkillGaps(jdSkills, profileData.skills) : null;
+
+  const html = renderHtml(templateData, templateName);
+  report("html", { template: templateName });
+
+  // Build safe filename: Name_company name_job title.pdf
+  const baseName = buildFileName(profileData.name, companyName, jobTitle);
+
+  // Save the run so it can be searched, re-downloaded and diffed later; history must never fail the request
+  let runId = null;
+  try {
+    runId = createRun({
+      profile,
+      profileName: profileData.name,
+      companyName: companyName || "",
+      jobTitle: jobTitle || "",
+      jd,
+      template: templateName,
+      paper: paperKey,
+      pages: pageTarget,
+      preset: meta.preset,
+      model: meta.model,
+      usage: meta.usage,
+      content: templateData,
+      grounding,
+      acceptedIssues: Array.isArray(acceptedIssues) ? acceptedIssues : [],
+      strict: Boolean(strict),
+      coverage,
+      skillGaps,
+      fileName: baseName,
+    });
+  } catch (err) {
+    console.error("Failed to save run to history:", err);
+  }
+
+  const result = { content: templateData, html, template: templateName, fileName: baseName, meta, runId, grounding, coverage, skillGaps };
+  if (hasBulletLibrary(profileData)) result.bulletLibrary = bulletLibrary(profileData);
+  if (strict && (output === "pdf" || output === "docx")) assertExportable(grounding, acceptedIssues);
+  if (output === "docx") {
+    const docxBuffer = await renderDocx(templateData, templateName, { paper: paperKey });
+    report("docx", { runId, bytes: docxBuffer.length });
+    return { ...result, docxBuffer };
+  }
+  if (output !== "pdf") return result;
+
+  const fitted = await renderFittedPdf(templateData, templateName, { paper: paperKey, pages: pageTarget });
+  // Bullets trimmed to fit the page target are gone from the saved content, and from the coverage, too
+  const fittedCoverage = fitted.report.trimmed.length ? scoreCoverage(coverage.jdSkills, fitted.data) : coverage;
+  if (runId) {
+    try {
+      updateRun(runId, { fit: fitted.report, ...(fitted.report.trimmed.length && { content: fitted.data, coverage: fittedCoverage }) });
+      saveRunPdf(runId, fitted.pdf);
+    } catch (err) {
+      console.error("Failed to save PDF to history:", err);
+    }
+  }
+  report("pdf", { runId, bytes: fitted.pdf.length, pages: fitted.report.pages, changes: fitted.report.changes });
+  return { ...result, content: fitted.data, coverage: fittedCoverage, fit: fitted.report, pdfBuffer: fitted.pdf };
+}
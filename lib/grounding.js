@@ -0,0 +1,167 @@
+import { htmlToMarkdown } from "./markup";
+import { toYearMonth, formatDateRange, analyzeExperience } from "./dates";
+
+// Factual-grounding check: compares tailored content (templateData shape) with the source profile and
+// lists every company, title, date range, degree and metric the profile does not back up.
+// Each issue: { id, type: "company" | "title" | "dates" | "degree" | "metric", path, value, message, expected? }
+// where `expected` is the profile's own value for title and dates issues.
+
+const COMPANY_SUFFIX_RE = /\b(inc|llc|ltd|limited|corp|corporation|co|company|gmbh|plc|sa|srl)\b/g;
+
+const normalizeCompany = (s) =>
+  String(s || "").toLowerCase().replace(/[^a-z0-9\s]/g, " ").replace(COMPANY_SUFFIX_RE, " ").replace(/\s+/g, " ").trim();
+
+const normalizeTitle = (s) =>
+  String(s || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .replace(/\bsr\b/g, "senior")
+    .replace(/\bjr\b/g, "junior")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const normalizeText = (s) => String(s || "").toLowerCase().replace(/[^a-z0-9\s]/g, " ").replace(/\s+/g, " ").trim();
+
+const plain = (html) => htmlToMarkdown(html).replace(/\*\*/g, "");
+
+// Numbers with an optional unit; "ES6", "S3", "OAuth 2.0" style version numbers and years are skipped below
+const METRIC_RE = /(?<![A-Za-z0-9./])(\$\s?)?(\d[\d,]*(?:\.\d+)?)(\s?(?:%|x\b|k\b|m\b|mm\b|b\b|bn\b|million\b|billion\b|thousand\b|\+))?(?![\d/])(\s*\+?\s*(?:years?|yrs?)\b)?/gi;
+
+const normalizeMetric = (s) => s.toLowerCase().replace(/[\s,$]/g, "");
+
+function findMetrics(text) {
+  const metrics = [];
+  for (const m of text.matchAll(METRIC_RE)) {
+    const [raw, dollar, number, unit, years] = m;
+    const isYear = !dollar && !unit && /^(19|20)\d{2}$/.test(number);
+    const isVersion = !dollar && !unit && number.includes(".");
+    if (isYear || isVersion) continue;
+    metrics.push({ raw: raw.trim(), value: `${dollar || ""}${number}${unit || ""}`.trim(), years: Boolean(years), number: Number(number.replace(/,/g, "")) });
+  }
+  return metrics;
+}
+
+// Every metric mentioned anywhere in the profile, normalized ("$1,200" -> "1200")
+function profileMetrics(profileData) {
+  const values = new Set();
+  const walk = (node) => {
+    if (typeof node === "string") findMetrics(node).forEach((m) => values.add(normalizeMetric(m.value)));
+    else if (node && typeof node === "object") Object.values(node).forEach(walk);
+  };
+  walk(profileData);
+  return values;
+}
+
+// Ids are scoped to the role (not the bullet index) so accepting a claim survives reordering bullets
+const issue = (type, scope, path, value, message, expected) => ({
+  id: `${type}:${scope}:${value}`,
+  type,
+  path,
+  value,
+  message,
+  ...(expected && { expected }),
+});
+
+function matchProfileJob(profileData, exp) {
+  const candidates = (profileData.experience || []).filter(
+    (job) => normalizeCompany(job.company) === normalizeCompany(exp.company)
+  );
+  if (candidates.length <= 1) return candidates[0] || null;
+  return (
+    candidates.find((job) => job.title && normalizeTitle(job.title) === normalizeTitle(exp.title)) ||
+    candidates.find((job) => toYearMonth(job.start_date) === toYearMonth(exp.start_date)) ||
+    candidates[0]
+  );
+}
+
+export function checkGrounding(profileData, content) {
+  const issues = [];
+  const backedMetrics = profileMetrics(profileData);
+  const { years } = analyzeExperience(profileData.experience, { includeInternships: true });
+
+  (content.experience || []).forEach((exp, idx) => {
+    const path = `experience[${idx}]`;
+    const scope = `${exp.company}|${exp.title}`;
+    const job = matchProfileJob(profileData, exp);
+
+    if (!job) {
+      issues.push(issue("company", scope, `${path}.company`, exp.company, `"${exp.company}" is not an employer in the profile`));
+    } else {
+      if (!job.title || normalizeTitle(job.title) !== normalizeTitle(exp.title)) {
+        issues.push(
+          issue(
+            "title",
+            scope,
+            `${path}.title`,
+            exp.title,
+            job.title
+              ? `Title "${exp.title}" differs from the profile ("${job.title}") at ${job.company}`
+              : `Title "${exp.title}" at ${job.company} is not in the profile`,
+            job.title
+          )
+        );
+      }
+      const startMatches = toYearMonth(job.start_date) === toYearMonth(exp.start_date);
+      const endMatches = toYearMonth(job.end_date, { end: true }) === toYearMonth(exp.end_date, { end: true });
+      if (!startMatches || !endMatches) {
+        issues.push(
+          issue(
+            "dates",
+            scope,
+            `${path}.dates`,
+            formatDateRange(exp.start_date, exp.end_date),
+            `Dates differ from the profile (${formatDateRange(job.start_date, job.end_date)}) at ${job.company}`,
+            { start_date: job.start_date, end_date: job.end_date }
+          )
+        );
+      }
+    }
+
+    (exp.details || []).forEach((detail, i) => {
+      for (const metric of findMetrics(plain(detail))) {
+        if (!backedMetrics.has(normalizeMetric(metric.value))) {
+          issues.push(issue("metric", scope, `${path}.details[${i}]`, metric.raw, `"${metric.raw}" is not backed by the profile`));
+        }
+      }
+    });
+  });
+
+  for (const metric of findMetrics(plain(content.summary))) {
+    // "10+ years" / "more than 10 years" is backed by the profile's own timeline
+    if (metric.years) {
+      if (metric.number > years) {
+        issues.push(issue("metric", "summary", "summary", metric.raw, `"${metric.raw}" exceeds the ${years} years in the profile`));
+      }
+    } else if (!backedMetrics.has(normalizeMetric(metric.value))) {
+      issues.push(issue("metric", "summary", "summary", metric.raw, `"${metric.raw}" is not backed by the profile`));
+    }
+  }
+
+  (content.education || []).forEach((edu, idx) => {
+    const backed = (profileData.education || []).some(
+      (src) => normalizeText(src.degree) === normalizeText(edu.degree) && normalizeText(src.school) === normalizeText(edu.school)
+    );
+    if (!backed) {
+      issues.push(
+        issue("degree", "education", `education[${idx}]`, `${edu.degree}, ${edu.school}`, `"${edu.degree}" at ${edu.school} is not in the profile`)
+      );
+    }
+  });
+
+  // The same claim can appear in several bullets of one role; report it once
+  const seen = new Set();
+  return issues.filter((i) => (seen.has(i.id) ? false : seen.add(i.id)));
+}
+
+// Strict export: refused (409) while any flagged claim is neither removed from the content nor
+// listed (by id) in `acceptedIssues`
+export function assertExportable(grounding, acceptedIssues) {
+  const accepted = new Set(Array.isArray(acceptedIssues) ? acceptedIssues : []);
+  const pending = (grounding || []).filter((issue) => !accepted.has(issue.id));
+  if (pending.length) {
+    throw Object.assign(
+      new Error(`Export blocked: ${pending.length} claim(s) not backed by the profile (${pending.map((i) => i.value).join(", ")})`),
+      { status: 409 }
+    );
+  }
+}
@@ -0,0 +1,35 @@
+// Resume headline (the title under the name, also the opening words of the summary).
+// Order: user override from the form, the profile's own `title`, a title derived from the JD
+// (the model's `title`, else the job title typed in the form), then the preset's seniority label.
+
+const clean = (value) => (typeof value === "string" ? value.replace(/\s+/g, " ").trim() : "");
+
+export function resolveHeadline({ override, profileTitle, jdTitle, jobTitle, fallback } = {}) {
+  const candidates = [
+    ["override", clean(override)],
+    ["profile", clean(profileTitle)],
+    ["jd", clean(jdTitle)],
+    ["jd", clean(jobTitle)],
+    ["preset", clean(fallback)],
+  ];
+  const [source, headline] = candidates.find(([, value]) => value) || ["none", ""];
+  return { headline, source };
+}
+
+// Make the summary open with the headline: replace a different title the model opened with
+// (its own `title` or the preset label), otherwise prepend it
+export function applyHeadlineToSummary(summary, headline, replaceablePrefixes = []) {
+  if (typeof summary !== "string" || !headline) return summary;
+  const s = summary.trim();
+  if (s.toLowerCase().startsWith(headline.toLowerCase())) return headline + s.slice(headline.length);
+
+  const prefix = replaceablePrefixes
+    .map(clean)
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+    .find((p) => s.toLowerCase().startsWith(p.toLowerCase()));
+  if (prefix) return headline + s.slice(prefix.length);
+
+  const rest = s.charAt(0).toLowerCase() + s.slice(1);
+  return headline + " " + rest;
+}
@@ -0,0 +1,86 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// File-backed generation history: one directory per run under data/history/<id>/
+// holding run.json (inputs, model metadata, final content) and resume.pdf once rendered.
+
+export const HISTORY_DIR = process.env.HISTORY_DIR || path.join(process.cwd(), "data", "history");
+const RUN_ID_RE = /^[a-z0-9]+-[a-f0-9]{6}$/;
+
+export const isValidRunId = (id) => typeof id === "string" && RUN_ID_RE.test(id);
+
+const runDir = (id) => {
+  if (!isValidRunId(id)) throw new Error(`Invalid run id "${id}"`);
+  return path.join(HISTORY_DIR, id);
+};
+
+const runFile = (id) => path.join(runDir(id), "run.json");
+const pdfFile = (id) => path.join(runDir(id), "resume.pdf");
+
+// Write then rename so a crash mid-write never leaves a half-written run.json behind
+function writeRun(run) {
+  const tmp = `${runFile(run.id)}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(run, null, 2), "utf-8");
+  fs.renameSync(tmp, runFile(run.id));
+  return run;
+}
+
+export function runExists(id) {
+  return isValidRunId(id) && fs.existsSync(runFile(id));
+}
+
+// Save a new run; returns its id
+export function createRun(data) {
+  const id = `${Date.now().toString(36)}-${crypto.randomBytes(3).toString("hex")}`;
+  fs.mkdirSync(runDir(id), { recursive: true });
+  const run = { id, createdAt: new Date().toISOString(), ...data, hasPdf: false };
+  writeRun(run);
+  return id;
+}
+
+export function getRun(id) {
+  return JSON.parse(fs.readFileSync(runFile(id), "utf-8"));
+}
+
+export function updateRun(id, patch) {
+  return writeRun({ ...getRun(id), ...patch, id, updatedAt: new Date().toISOString() });
+}
+
+export function saveRunPdf(id, pdfBuffer) {
+  fs.writeFileSync(pdfFile(id), pdfBuffer);
+  updateRun(id, { hasPdf: true });
+}
+
+export function readRunPdf(id) {
+  return fs.existsSync(pdfFile(id)) ? fs.readFileSync(pdfFile(id)) : null;
+}
+
+// Newest first; `q` matches profile, company, job title and JD text (case-insensitive)
+export function listRuns({ q, profile } = {}) {
+  if (!fs.existsSync(HISTORY_DIR)) return [];
+
+  const needle = (q || "").trim().toLowerCase();
+  return fs
+    .readdirSync(HISTORY_DIR)
+    .filter(runExists)
+    .map((id) => {
+      try {
+        return getRun(id);
+      } catch (err) {
+        console.error(`Skipping unreadable history entry ${id}:`, err.message);
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .filter((run) => !profile || run.profile === profile)
+    .filter(
+      (run) =>
+        !needle ||
+        [run.profile, run.profileName, run.companyName, run.jobTitle, run.jd]
+          .filter(Boolean)
+          .some((value) => value.toLowerCase().includes(needle))
+    )
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(({ content, jd, ...summary }) => ({ ...summary, jdPreview: (jd || "").slice(0, 200) }));
+}
@@ -0,0 +1,230 @@
+import { callLLM } from "./llm";
+import { parseTolerantJson } from "./tolerant-json";
+import { findSkills, lookupSkill } from "./skills";
+
+// Job description -> structured requirements, before any tailoring:
+//   { title, company, seniority, requiredSkills, niceToHaveSkills, industry, location, workMode, yearsRequired }
+// analyzeJdText() is the deterministic pass (skill dictionary in lib/skills.js + heuristics);
+// analyzeJdWithAI() adds a model pass on top of it. Unknown values are "" / null, never guesses.
+
+export const SENIORITY_LEVELS = ["intern", "junior", "mid", "senior", "staff", "lead", "principal", "director", "executive"];
+export const WORK_MODES = ["remote", "hybrid", "onsite"];
+
+const SENIORITY_WORDS = [
+  ["executive", /\b(?:chief|cto|ceo|cio|vp|vice president)\b/i],
+  ["director", /\b(?:director|head of)\b/i],
+  ["principal", /\bprincipal\b/i],
+  ["staff", /\bstaff\b/i],
+  ["lead", /\b(?:lead|tech lead|team lead|manager)\b/i],
+  ["senior", /\b(?:senior|sr\.?)(?=\s|$)/i],
+  ["mid", /\b(?:mid|mid-level|intermediate)\b/i],
+  ["junior", /\b(?:junior|jr\.?|entry[- ]level|graduate|associate)(?=\s|$|[,)])/i],
+  ["intern", /\b(?:intern|internship|working student)\b/i],
+];
+
+const INDUSTRIES = [
+  ["Fintech", /\b(?:fintech|payments?|banking|bank|trading|lending|financial services|insurtech|wealth management)\b/gi],
+  ["Healthcare", /\b(?:healthcare|health ?tech|medical|clinical|patients?|hospital|pharma(?:ceutical)?|biotech)\b/gi],
+  ["E-commerce", /\b(?:e-?commerce|online retail|marketplace|retail|shopping|checkout)\b/gi],
+  ["Education", /\b(?:edtech|education|learning platform|students|university)\b/gi],
+  ["Gaming", /\b(?:gaming|video games?|game studio|esports)\b/gi],
+  ["Advertising", /\b(?:adtech|advertising|ad platform|programmatic|marketing technology|martech)\b/gi],
+  ["Cybersecurity", /\b(?:cybersecurity|cyber security|threat detection|security operations|infosec)\b/gi],
+  ["Logistics", /\b(?:logistics|supply chain|shipping|fleet|freight|delivery network)\b/gi],
+  ["Crypto / Web3", /\b(?:crypto(?:currency)?|blockchain|web3|defi|nft)\b/gi],
+  ["AI", /\b(?:ai company|ai-first|ai startup|generative ai|artificial intelligence)\b/gi],
+  ["Media", /\b(?:streaming|media|publishing|news|content platform)\b/gi],
+  ["Automotive", /\b(?:automotive|autonomous vehicles?|electric vehicles?|mobility)\b/gi],
+  ["Telecommunications", /\b(?:telecom(?:munications)?|5g|network operator)\b/gi],
+  ["Government", /\b(?:government|public sector|federal|defen[cs]e)\b/gi],
+  ["SaaS", /\b(?:saas|b2b software|software as a service)\b/gi],
+];
+
+const TITLE_WORDS = /\b(?:engineer|developer|programmer|architect|manager|lead|analyst|consultant|designer|director|scientist|specialist|administrator|sre|devops|intern|head of)\b/i;
+const NICE_TO_HAVE_HEADER = /\b(?:nice[- ]to[- ]haves?|preferred|bonus(?: points)?|pluses|desirable|good to have|would be great|extra credit|not required)\b/i;
+const REQUIRED_HEADER = /\b(?:requirements?|required|qualifications|must[- ]haves?|what you(?:'ll)? (?:need|bring)|what we(?:'re)? looking for|you (?:have|bring|are)|about you|skills|experience)\b/i;
+const OTHER_HEADER = /\b(?:about (?:us|the company|the team)|benefits|perks|what we offer|why join|compensation|salary|responsibilities|what you(?:'ll)? do|the role|how to apply)\b/i;
+const NICE_TO_HAVE_INLINE = /\b(?:nice to have|is a plus|a plus|are a plus|preferred|bonus|ideally|desirable)\b/i;
+
+// "Senior Backend Engineer at Acme" / "... @ Acme Labs": the title and the company it names
+const TITLE_AT_COMPANY = /^(.+?)\s+(?:at|@)\s+([A-Z][\w&.'-]*(?:\s+[A-Z][\w&.'-]*){0,3})$/;
+const BULLET_RE = /^\s*(?:[-•●▪■◦‣*–]|\d+[.)])\s+/;
+const cleanLine = (line) => line.replace(/[*_#>`]+/g, " ").replace(/\s+/g, " ").trim();
+// "Requirements:", "## Nice to have", "What you'll bring"; never a bullet
+const isHeader = (raw) => {
+  if (BULLET_RE.test(raw)) return false;
+  const line = cleanLine(raw);
+  return line.length <= 60 && (/:$/.test(line) || (!/[.,;!?]/.test(line) && line.split(" ").length <= 5));
+};
+
+function guessTitle(lines) {
+  for (const line of lines.slice(0, 15)) {
+    const labelled = /^(?:job title|title|position|role)\s*[:\-–]\s*(.+)$/i.exec(line);
+    if (labelled) return labelled[1].trim();
+  }
+  for (const line of lines.slice(0, 15)) {
+    const hiring = /\b(?:hiring|looking for|seeking|searching for)\s+(?:an?\s+)?((?:[A-Z][\w+#./-]*\s*){1,6})/.exec(line);
+    if (hiring && TITLE_WORDS.test(hiring[1])) return hiring[1].trim();
+  }
+  // A short line near the top that reads like a title ("Senior Backend Engineer (Remote)")
+  const first = lines.slice(0, 5).find((line) => line.length <= 70 && TITLE_WORDS.test(line) && !/[.!?]$/.test(line));
+  return first ? first.replace(/\s*[(|–-]\s*(?:remote|hybrid|on-?site|f\/m\/d|m\/f\/d|m\/w\/d).*$/i, "").replace(/:$/, "").trim() : "";
+}
+
+// `titleCompany` is the company named on the title line, second only to a "Company:" line
+function guessCompany(lines, text, titleCompany) {
+  for (const line of lines.slice(0, 20)) {
+    const labelled = /^(?:company|employer|organization)\s*[:\-–]\s*(.+)$/i.exec(line);
+    if (labelled) return labelled[1].trim();
+  }
+  if (titleCompany) return titleCompany;
+  const patterns = [
+    /\bAbout\s+((?!us\b|the\b|you\b|this\b|our\b)[A-Z][\w&.'-]*(?:\s+[A-Z][\w&.'-]*){0,3})\s*$/m,
+    /\b(?:At|Join)\s+([A-Z][\w&.'-]*(?:\s+[A-Z][\w&.'-]*){0,3}),?\s+(?:we|you|our|is|and)\b/,
+    /^([A-Z][\w&.'-]*(?:\s+[A-Z][\w&.'-]*){0,3})\s+is\s+(?:hiring|looking|seeking|a|an|the)\b/m,
+    /\b(?:team|us|work|career) at\s+([A-Z][\w&'-]*(?:\s+[A-Z][\w&'-]*){0,2})/,
+  ];
+  for (const pattern of patterns) {
+    const match = pattern.exec(text);
+    if (match && !TITLE_WORDS.test(match[1])) return match[1].trim();
+  }
+  return "";
+}
+
+function guessSeniority(title, text, years) {
+  for (const source of [title, text.slice(0, 300)]) {
+    const level = SENIORITY_WORDS.find(([, re]) => re.test(source || ""));
+    if (level) return level[0];
+  }
+  if (years?.min == null) return "";
+  if (years.min >= 8) return "staff";
+  if (years.min >= 5) return "senior";
+  if (years.min >= 2) return "mid";
+  return "junior";
+}
+
+// "5+ years", "3-5 years of experience", "at least 4 years", "minimum of 7 years"; the highest minimum wins
+function guessYears(text) {
+  const re = /(\d{1,2})\s*(?:\+|plus)?\s*(?:(?:-|–|to)\s*(\d{1,2}))?\s*\+?\s*(?:years?|yrs?)\b(?:[^.\n]{0,60}?\bexperience\b|\s+(?:of|in|with|building|working)\b)/gi;
+  let best = null;
+  let match;
+  while ((match = re.exec(text))) {
+    const min = Number(match[1]);
+    const max = match[2] ? Number(match[2]) : null;
+    if (min > 0 && min <= 30 && (!best || min > best.min)) best = { min, max: max && max >= min ? max : null };
+  }
+  return best;
+}
+
+function guessWorkMode(text) {
+  if (/\bhybrid\b/i.test(text)) return "hybrid";
+  if (/\b(?:fully remote|remote[- ]first|100% remote|work from anywhere|remote\s*(?:\(|-|–|,|\/|\|)|\bremote (?:role|position|job|opportunity|team)|is remote)\b/i.test(text)) return "remote";
+  if (/\b(?:on-?site|in[- ]office|in the office|office-based|relocat(?:e|ion))\b/i.test(text)) return "onsite";
+  if (/\bremote\b/i.test(text) && !/\b(?:not|no) remote\b/i.test(text)) return "remote";
+  return "";
+}
+
+function guessLocation(lines, text) {
+  for (const line of lines.slice(0, 30)) {
+    const labelled = /^(?:location|based in|office|where)\s*[:\-–]\s*(.+)$/i.exec(line);
+    if (labelled) return labelled[1].trim();
+  }
+  const based = /\b(?:based in|located in|office in|offices in)\s+([A-Z][\w.'-]*(?:[ ,]+[A-Z][\w.'-]*){0,3})/.exec(text);
+  if (based) return based[1].replace(/[ ,]+$/, "");
+  const office = /\bin our ([A-Z][\w.'-]*(?: [A-Z][\w.'-]*)?) (?:office|HQ|headquarters)\b/.exec(text);
+  return office ? office[1] : "";
+}
+
+function guessIndustry(text) {
+  const scored = INDUSTRIES.map(([name, re]) => [name, (text.match(re) || []).length]).filter(([, count]) => count > 0);
+  scored.sort((a, b) => b[1] - a[1]);
+  return scored[0]?.[0] || "";
+}
+
+// Skills under a "Nice to have" header, or in a sentence that says "a plus"/"preferred", are nice-to-have;
+// everything else the JD names is required. A skill named in both places counts as required.
+function splitSkills(rawLines) {
+  const required = new Map();
+  const nice = new Map();
+  let section = "required";
+  for (const raw of rawLines) {
+    const line = cleanLine(raw);
+    if (!line) continue;
+    if (isHeader(raw)) {
+      if (NICE_TO_HAVE_HEADER.test(line)) section = "nice";
+      else if (REQUIRED_HEADER.test(line) || OTHER_HEADER.test(line)) section = "required";
+    }
+    // The inline markers only cover their own sentence, or one-paragraph JDs would be all nice-to-have
+    for (const clause of line.split(/(?<=[.!?])\s+|\s*;\s*/)) {
+      const target = section === "nice" || NICE_TO_HAVE_INLINE.test(clause) ? nice : required;
+      for (const skill of findSkills(clause)) if (!target.has(skill.name)) target.set(skill.name, skill);
+    }
+  }
+  for (const name of required.keys()) nice.delete(name);
+  return { requiredSkills: [...required.keys()], niceToHaveSkills: [...nice.keys()] };
+}
+
+export function analyzeJdText(jd) {
+  const text = String(jd || "");
+  const lines = text.split(/\r?\n/).map(cleanLine).filter(Boolean);
+  const titleLine = guessTitle(lines);
+  const [, title, titleCompany] = TITLE_AT_COMPANY.exec(titleLine) || [null, titleLine, ""];
+  const yearsRequired = guessYears(text);
+
+  return {
+    title,
+    company: guessCompany(lines, text, titleCompany),
+    seniority: guessSeniority(title, text, yearsRequired),
+    ...splitSkills(text.split(/\r?\n/)),
+    industry: guessIndustry(text),
+    location: guessLocation(lines, text),
+    workMode: guessWorkMode(text),
+    yearsRequired,
+  };
+}
+
+const AI_ANALYZE_PROMPT = `Analyze the job description below and extract what the employer is asking for. Return a single JSON object only (no other text, no markdown) with this exact structure. Only report what the text states; use an empty string, an empty array or null for anything it does not.
+
+{"title":"<job title as written>","company":"<hiring company>","seniority":"<one of: ${SENIORITY_LEVELS.join(", ")}>","requiredSkills":["<skill, tool or technology the candidate must have>"],"niceToHaveSkills":["<skill listed as preferred, bonus or a plus>"],"industry":"<company's industry>","location":"<city/country or region>","workMode":"<one of: ${WORK_MODES.join(", ")}>","yearsRequired":{"min":<number>,"max":<number or null>}}
+
+Job description:
+
+`;
+
+const str = (v) => (v == null ? "" : String(v).trim());
+
+// Canonical dictionary names where known ("golang" -> "Go"), the model's wording otherwise; no duplicates
+const skillList = (values) => {
+  const names = (Array.isArray(values) ? values : []).map((v) => lookupSkill(v)?.name || str(v)).filter(Boolean);
+  return [...new Map(names.map((name) => [name.toLowerCase(), name])).values()];
+};
+
+// Dictionary pass first, then the model; the model's answer wins for every field it fills in and its
+// skills are merged with the dictionary's (required beats nice-to-have). Throws when the reply has no JSON.
+export async function analyzeJdWithAI(jd, { signal } = {}) {
+  const local = analyzeJdText(jd);
+  const response = await callLLM(AI_ANALYZE_PROMPT + jd, { maxTokens: 2000, signal });
+  const content = response.choices?.[0]?.message?.content ?? "";
+  const { value: parsed } = parseTolerantJson(content);
+
+  const years = parsed.yearsRequired && Number(parsed.yearsRequired.min) > 0
+    ? { min: Number(parsed.yearsRequired.min), max: Number(parsed.yearsRequired.max) || null }
+    : local.yearsRequired;
+  const requiredSkills = skillList([...skillList(parsed.requiredSkills), ...local.requiredSkills]);
+  const required = new Set(requiredSkills.map((s) => s.toLowerCase()));
+  const niceToHaveSkills = skillList([...skillList(parsed.niceToHaveSkills), ...local.niceToHaveSkills]).filter(
+    (s) => !required.has(s.toLowerCase())
+  );
+
+  return {
+    title: str(parsed.title) || local.title,
+    company: str(parsed.company) || local.company,
+    seniority: SENIORITY_LEVELS.includes(str(parsed.seniority).toLowerCase()) ? str(parsed.seniority).toLowerCase() : local.seniority,
+    requiredSkills,
+    niceToHaveSkills,
+    industry: str(parsed.industry) || local.industry,
+    location: str(parsed.location) || local.location,
+    workMode: WORK_MODES.includes(str(parsed.workMode).toLowerCase()) ? str(parsed.workMode).toLowerCase() : local.workMode,
+    yearsRequired: years,
+  };
+}
@@ -0,0 +1,154 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { runGeneration } from "./generate";
+import { createLimiter } from "./limit";
+
+// Background generation jobs: an in-process queue with one JSON file per job under data/jobs/<id>.json.
+// A job is queued -> running -> done | failed; the file holds the request body, the last pipeline stage,
+// and the result (the /api/generate JSON payload) or error. Jobs left queued or running when the server
+// stopped are picked up again by recoverJobs() (called from instrumentation.js on startup).
+
+export const JOBS_DIR = process.env.JOBS_DIR || path.join(process.cwd(), "data", "jobs");
+const JOB_ID_RE = /^[a-z0-9]+-[a-f0-9]{6}$/;
+
+// What a job can produce (as /api/generate); PDF when the body names none
+const JOB_OUTPUTS = ["pdf", "docx", "json"];
+
+// A job that has been started this many times (e.g. it keeps crashing the process) is failed instead of retried
+const MAX_ATTEMPTS = 3;
+
+export const isValidJobId = (id) => typeof id === "string" && JOB_ID_RE.test(id);
+
+const jobFile = (id) => {
+  if (!isValidJobId(id)) throw new Error(`Invalid job id "${id}"`);
+  return path.join(JOBS_DIR, `${id}.json`);
+};
+
+// One queue per process (API routes and instrumentation.js load separate copies of this module)
+const queue = (globalThis.__resumeTailorJobs ||= {
+  slots: createLimiter(Number(process.env.JOB_CONCURRENCY) || 2),
+  recovered: false,
+});
+
+export function jobExists(id) {
+  return isValidJobId(id) && fs.existsSync(jobFile(id));
+}
+
+export function getJob(id) {
+  return JSON.parse(fs.readFileSync(jobFile(id), "utf-8"));
+}
+
+function writeJob(job) {
+  fs.mkdirSync(JOBS_DIR, { recursive: true });
+  // Write then rename so a crash mid-write never leaves a half-written job behind
+  const tmp = `${jobFile(job.id)}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(job, null, 2), "utf-8");
+  fs.renameSync(tmp, jobFile(job.id));
+  return job;
+}
+
+function updateJob(id, patch) {
+  return writeJob({ ...getJob(id), ...patch, id, updatedAt: new Date().toISOString() });
+}
+
+// Status view for GET /api/jobs/:id (the request body, including the JD, is left out)
+export function jobStatus({ input, ...job }) {
+  return { ...job, profile: input.profile, companyName: input.companyName || "", jobTitle: input.jobTitle || "" };
+}
+
+async function runJob(id) {
+  // Only stage changes are persisted; token events would rewrite the file hundreds of times
+  let stage = null;
+  const onProgress = (next) => {
+    if (next === stage) return;
+    stage = next;
+    updateJob(id, { stage });
+  };
+
+  try {
+    // A job file that went missing or unreadable (e.g. before restart recovery) fails the job below
+    const job = getJob(id);
+    updateJob(id, { status: "running", startedAt: new Date().toISOString(), attempts: job.attempts + 1, stage: null });
+    // Files stay with the history run; the result links to them
+    const { pdfBuffer, docxBuffer, ...result } = await runGeneration(job.input, { onProgress });
+    const links = result.runId
+      ? { ...(pdfBuffer && { pdfUrl: `/api/history/${result.runId}/pdf` }), ...(docxBuffer && { docxUrl: `/api/history/${result.runId}/docx` }) }
+      : {};
+    updateJob(id, { status: "done", finishedAt: new Date().toISOString(), result: { ...result, ...links } });
+    console.log(`Job ${id} done`);
+  } catch (err) {
+    if (!err.status) console.error(`Job ${id} failed:`, err);
+    failJob(id, err);
+  }
+}
+
+// Mark a job failed; when its file can no longer be read, it is replaced by a bare failed job
+function failJob(id, err) {
+  const now = new Date().toISOString();
+  const failure = { status: "failed", finishedAt: now, error: { status: err.status || 500, message: err.message } };
+  try {
+    updateJob(id, failure);
+  } catch (readErr) {
+    console.error(`Job ${id} is unreadable (${readErr.message}); rewriting it as failed`);
+    writeJob({ id, createdAt: now, updatedAt: now, attempts: 0, stage: null, input: {}, ...failure });
+  }
+}
+
+const schedule = (id) =>
+  queue.slots(() => runJob(id)).catch((err) => console.error(`Job ${id} could not be recorded as failed:`, err));
+
+// Queue a generation; `input` is the /api/generate request body. Returns the new job.
+export function enqueueJob(input) {
+  recoverJobs();
+  if (!input?.profile) throw Object.assign(new Error("Profile required"), { status: 400 });
+  if (!input.jd) throw Object.assign(new Error("Job description required"), { status: 400 });
+  const output = input.output ?? "pdf";
+  if (!JOB_OUTPUTS.includes(output)) {
+    throw Object.assign(new Error(`Unknown output "${output}" (expected ${JOB_OUTPUTS.join(", ")})`), { status: 400 });
+  }
+
+  const now = new Date().toISOString();
+  const job = writeJob({
+    id: `${Date.now().toString(36)}-${crypto.randomBytes(3).toString("hex")}`,
+    status: "queued",
+    createdAt: now,
+    updatedAt: now,
+    attempts: 0,
+    stage: null,
+    input: { ...input, output },
+  });
+  schedule(job.id);
+  return job;
+}
+
+// Re-queue jobs that were queued or running when the process stopped, oldest first. Runs once per process.
+export function recoverJobs() {
+  if (queue.recovered) return;
+  queue.recovered = true;
+  if (!fs.existsSync(JOBS_DIR)) return;
+
+  const unfinished = fs
+    .readdirSync(JOBS_DIR)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => {
+      try {
+        return getJob(file.slice(0, -".json".length));
+      } catch (err) {
+        console.error(`Skipping unreadable job ${file}:`, err.message);
+        return null;
+      }
+    })
+    .filter((job) => job && (job.status === "queued" || job.status === "running"))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  for (const job of unfinished) {
+    if (job.attempts >= MAX_ATTEMPTS) {
+      failJob(job.id, new Error(`Interrupted ${job.attempts} times by server restarts`));
+      continue;
+    }
+    updateJob(job.id, { status: "queued", stage: null });
+    schedule(job.id);
+  }
+  if (unfinished.length) console.log(`Recovered ${unfinished.length} unfinished job(s)`);
+}
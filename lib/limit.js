@@ -0,0 +1,28 @@
+// Minimal in-process concurrency limiter: limit(fn) runs fn once fewer than `concurrency`
+// calls are in flight, otherwise waits its turn (FIFO).
+export function createLimiter(concurrency) {
+  const max = Math.max(1, concurrency || 1);
+  const waiting = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= max || !waiting.length) return;
+    active++;
+    const { fn, resolve, reject } = waiting.shift();
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  const limit = (fn) =>
+    new Promise((resolve, reject) => {
+      waiting.push({ fn, resolve, reject });
+      next();
+    });
+  limit.stats = () => ({ active, waiting: waiting.length, max });
+  return limit;
+}
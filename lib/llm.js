@@ -0,0 +1,95 @@
+import { createOpenAIProvider } from "./providers/openai";
+import { createMockProvider } from "./providers/mock";
+
+// LLM provider layer. LLM_PROVIDER picks the implementation:
+//   "openai" (default)     OPENAI_API_KEY, OPENAI_MODEL
+//   "openai-compatible"    LLM_BASE_URL, LLM_MODEL, LLM_API_KEY (optional) for self-hosted models;
+//                          LLM_STRUCTURED_OUTPUTS=true when the server supports JSON schema response formats
+//   "mock"                 fixture-backed replies (lib/providers/mock.js), no network
+// Every provider returns the chat-completions response shape: { model, choices[0].message.content, choices[0].finish_reason, usage }.
+// With `onToken` a provider streams the reply, passing each text delta as it arrives, and still resolves to that shape.
+
+const factories = {
+  openai: () =>
+    createOpenAIProvider({
+      apiKey: process.env.OPENAI_API_KEY,
+      defaultModel: process.env.OPENAI_MODEL || "gpt-5-mini",
+    }),
+  "openai-compatible": () =>
+    createOpenAIProvider({
+      name: "openai-compatible",
+      baseURL: process.env.LLM_BASE_URL,
+      // Most self-hosted servers ignore the key, but the client refuses to start without one
+      apiKey: process.env.LLM_API_KEY || "not-needed",
+      defaultModel: process.env.LLM_MODEL,
+      maxTokensParam: "max_tokens",
+      structuredOutputs: process.env.LLM_STRUCTURED_OUTPUTS === "true",
+      streamUsage: false,
+    }),
+  mock: () =>
+    createMockProvider({ fixturesDir: process.env.MOCK_LLM_FIXTURES, chunkDelayMs: Number(process.env.MOCK_LLM_DELAY_MS) || 0 }),
+};
+
+const providers = {};
+
+// Thrown when the caller's AbortSignal fires (e.g. the browser cancelled a streaming generate)
+const abortError = () => Object.assign(new Error("Request cancelled"), { name: "AbortError", status: 499 });
+export const isAbortError = (err) => err?.name === "AbortError";
+
+export function getProvider(name = process.env.LLM_PROVIDER || "openai") {
+  if (!factories[name]) throw new Error(`Unknown LLM provider "${name}" (expected ${Object.keys(factories).join(", ")})`);
+  return (providers[name] ||= factories[name]());
+}
+
+// Whether the configured provider can be called (e.g. an API key is set)
+export function hasLLMProvider() {
+  try {
+    return getProvider().isConfigured();
+  } catch (err) {
+    return false;
+  }
+}
+
+// Call the configured provider with timeout & retries. `responseFormat` (a JSON schema response format)
+// is only sent to providers that support structured outputs; callers must still validate the reply.
+// `signal` cancels the upstream request (never retried); a timeout aborts it too before retrying.
+export async function callLLM(
+  promptOrMessages,
+  { model = null, maxTokens = 8000, retries = 2, timeoutMs = 180000, responseFormat = null, signal = null, onToken = null } = {}
+) {
+  const provider = getProvider();
+  let messages;
+  if (typeof promptOrMessages === "string") {
+    messages = [{ role: "user", content: promptOrMessages }];
+  } else if (Array.isArray(promptOrMessages)) {
+    messages = promptOrMessages.map((msg) => ({
+      role: msg.role === "system" ? "system" : msg.role === "assistant" ? "assistant" : "user",
+      content: msg.content,
+    }));
+  } else {
+    messages = [{ role: "user", content: String(promptOrMessages) }];
+  }
+
+  while (retries > 0) {
+    if (signal?.aborted) throw abortError();
+    const controller = new AbortController();
+    const cancel = () => controller.abort(abortError());
+    signal?.addEventListener("abort", cancel);
+    const timer = setTimeout(() => controller.abort(new Error(`${provider.name} request timed out`)), timeoutMs);
+    try {
+      return await Promise.race([
+        provider.complete({ messages, model, maxTokens, responseFormat, signal: controller.signal, onToken }),
+        // Settle right away even if a provider ignores the signal
+        new Promise((_, reject) => controller.signal.addEventListener("abort", () => reject(controller.signal.reason))),
+      ]);
+    } catch (err) {
+      if (signal?.aborted) throw abortError();
+      retries--;
+      if (retries === 0) throw err;
+      console.log(`Retrying... (${retries} attempts left)`);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", cancel);
+    }
+  }
+}
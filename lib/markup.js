@@ -0,0 +1,51 @@
+// Conversions between the **bold** markdown the model writes and the <strong> HTML the templates render.
+// No Node imports: this module is shared with the browser (the content editor in index.js).
+
+// Convert **bold** to <strong> for HTML template
+export const boldToStrong = (s) => (typeof s === "string" ? s.replace(/\*\*([^*]+)\*\*/g, "<strong>$1</strong>") : s);
+
+export const escapeHtml = (s) =>
+  String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+const unescapeHtml = (s) =>
+  String(s ?? "").replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, "&");
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+// Named (&amp;) and numeric (&#39; &#x2013;) entities -> characters
+export const decodeEntities = (s) =>
+  String(s ?? "").replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] !== "#") return ENTITIES[code.toLowerCase()] ?? match;
+    const point = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : Number(code.slice(1));
+    // Past the last Unicode code point (fromCodePoint would throw): leave the entity as written
+    return point <= 0x10ffff ? String.fromCodePoint(point) : match;
+  });
+
+const INLINE_TAGS = new Set(["strong", "b", "em", "i", "a"]);
+const escapeAttr = (s) => escapeHtml(s).replace(/"/g, "&quot;");
+
+// Caller HTML -> the inline subset the templates print unescaped: <strong>/<b>, <em>/<i> and <a href> with an
+// http(s) link, without attributes otherwise. Every other tag is dropped (its text is kept) and stray < > escaped.
+export const sanitizeInlineHtml = (html) =>
+  String(html ?? "")
+    .split(/(<\/?[a-z][a-z0-9]*\b[^>]*>)/gi)
+    .map((part, idx) => {
+      if (idx % 2 === 0) return part.replace(/</g, "&lt;").replace(/>/g, "&gt;");
+      const [, closing, tag, attrs] = /^<(\/?)([a-z][a-z0-9]*)\b([^>]*)>$/i.exec(part);
+      const name = tag.toLowerCase();
+      if (!INLINE_TAGS.has(name)) return "";
+      if (closing) return `</${name}>`;
+      if (name !== "a") return `<${name}>`;
+      // Quoted or unquoted (href=https://...), the same scheme check either way
+      const [, ...values] = /(?:^|\s)href\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+))/i.exec(attrs) || [];
+      const href = decodeEntities(values.find((v) => v !== undefined) || "").trim();
+      return /^https?:\/\//i.test(href) ? `<a href="${escapeAttr(href)}">` : "<a>";
+    })
+    .join("");
+
+// Editable text -> template HTML
+export const markdownToHtml = (text) => boldToStrong(escapeHtml(text));
+
+// Template HTML -> editable text ("Built <strong>APIs</strong>" -> "Built **APIs**")
+export const htmlToMarkdown = (html) =>
+  unescapeHtml(String(html ?? "").replace(/<strong>([\s\S]*?)<\/strong>/gi, "**$1**").replace(/<[^>]+>/g, ""));
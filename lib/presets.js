@@ -0,0 +1,71 @@
+import fs from "fs";
+import path from "path";
+import presetSchema from "./schemas/preset.schema.json";
+import { compileSchema, describeSchemaErrors } from "./schema-errors";
+
+// Prompt presets: versioned JSON files under prompts/ named <id>.v<version>.json.
+// A preset reference is "<id>" (latest version) or "<id>@<version>" (pinned, e.g. when re-running history).
+
+export const PRESETS_DIR = path.join(process.cwd(), "prompts");
+export const DEFAULT_PRESET = "senior-software-engineer";
+
+const PRESET_FILE_RE = /^([a-z0-9]+(?:-[a-z0-9]+)*)\.v(\d+)\.json$/;
+const PRESET_REF_RE = /^([a-z0-9]+(?:-[a-z0-9]+)*)(?:@(\d+))?$/;
+
+const validatePreset = compileSchema(presetSchema);
+
+// [{ id, version, file }] for every preset file on disk
+function presetFiles() {
+  if (!fs.existsSync(PRESETS_DIR)) return [];
+  return fs
+    .readdirSync(PRESETS_DIR)
+    .map((file) => {
+      const match = PRESET_FILE_RE.exec(file);
+      return match && { id: match[1], version: Number(match[2]), file };
+    })
+    .filter(Boolean);
+}
+
+function readPreset({ id, version, file }) {
+  const preset = JSON.parse(fs.readFileSync(path.join(PRESETS_DIR, file), "utf-8"));
+  if (!validatePreset(preset)) {
+    throw Object.assign(new Error(`Preset ${file} is invalid: ${describeSchemaErrors(validatePreset.errors)}`), { status: 422 });
+  }
+  if (preset.id !== id || preset.version !== version) {
+    throw Object.assign(new Error(`Preset ${file} declares ${preset.id}@${preset.version}`), { status: 422 });
+  }
+  return preset;
+}
+
+// Latest version of each preset, default first
+export function listPresets() {
+  const latest = new Map();
+  for (const entry of presetFiles()) {
+    if (!latest.has(entry.id) || latest.get(entry.id).version < entry.version) latest.set(entry.id, entry);
+  }
+  return [...latest.values()]
+    .map((entry) => {
+      try {
+        const { id, version, name, description } = readPreset(entry);
+        return { id, version, ref: `${id}@${version}`, name, description: description || "" };
+      } catch (err) {
+        console.error(`Skipping preset ${entry.file}:`, err.message);
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => (a.id === DEFAULT_PRESET ? -1 : b.id === DEFAULT_PRESET ? 1 : a.name.localeCompare(b.name)));
+}
+
+export function loadPreset(ref = DEFAULT_PRESET) {
+  const match = PRESET_REF_RE.exec(ref || "");
+  if (!match) throw Object.assign(new Error(`Invalid preset "${ref}"`), { status: 400 });
+
+  const [, id, version] = match;
+  const candidates = presetFiles()
+    .filter((entry) => entry.id === id && (!version || entry.version === Number(version)))
+    .sort((a, b) => b.version - a.version);
+  if (!candidates.length) throw Object.assign(new Error(`Preset "${ref}" not found`), { status: 404 });
+
+  return readPreset(candidates[0]);
+}
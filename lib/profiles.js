@@ -0,0 +1,84 @@
+import fs from "fs";
+import path from "path";
+import { validateProfile, formatIssue } from "./validate-profile";
+
+export const RESUMES_DIR = path.join(process.cwd(), "resumes");
+const TEMPLATE_ID = "_template";
+
+// Profile ids double as file names, so keep them to a safe character set (no path separators, no "..")
+const PROFILE_ID_RE = /^[A-Za-z0-9][A-Za-z0-9 _-]{0,79}$/;
+
+export function isValidProfileId(id) {
+  return typeof id === "string" && PROFILE_ID_RE.test(id) && id !== TEMPLATE_ID;
+}
+
+// "José O'Brien Jr." -> "Jose_OBrien_Jr"
+export function profileIdFromName(name) {
+  const id = String(name || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^A-Za-z0-9\s_-]/g, "")
+    .trim()
+    .replace(/\s+/g, "_")
+    .slice(0, 80);
+  return isValidProfileId(id) ? id : "";
+}
+
+export function profilePath(id) {
+  if (!isValidProfileId(id)) throw new Error(`Invalid profile id "${id}"`);
+  return path.join(RESUMES_DIR, `${id}.json`);
+}
+
+export function profileExists(id) {
+  return isValidProfileId(id) && fs.existsSync(profilePath(id));
+}
+
+export function listProfiles() {
+  return fs
+    .readdirSync(RESUMES_DIR)
+    .filter((file) => file.endsWith(".json") && file !== `${TEMPLATE_ID}.json`)
+    .map((file) => ({
+      id: file.replace(".json", ""),
+      name: file.replace(".json", "").replace(/_/g, " "),
+    }));
+}
+
+export function readProfile(id) {
+  return JSON.parse(fs.readFileSync(profilePath(id), "utf-8"));
+}
+
+export function writeProfile(id, data) {
+  fs.writeFileSync(profilePath(id), JSON.stringify(data, null, 2) + "\n", "utf-8");
+}
+
+export function deleteProfile(id) {
+  fs.unlinkSync(profilePath(id));
+}
+
+// Read and validate a profile before use; thrown errors carry the HTTP status for the caller
+export function loadProfile(id) {
+  console.log(`Loading profile: ${id}`);
+  if (!profileExists(id)) {
+    throw Object.assign(new Error(`Profile "${id}" not found`), { status: 404 });
+  }
+
+  let profileData;
+  try {
+    profileData = readProfile(id);
+  } catch (err) {
+    throw Object.assign(new Error(`Profile "${id}" is not valid JSON: ${err.message}`), { status: 422 });
+  }
+
+  // Validate before use so a bad file fails here with field-level errors instead of deep in the pipeline
+  const validation = validateProfile(profileData);
+  if (!validation.valid) {
+    console.error(`Profile "${id}" failed validation:`, validation.errors);
+    throw Object.assign(
+      new Error(`Profile "${id}" is invalid:\n${validation.errors.map(formatIssue).join("\n")}`),
+      { status: 422 }
+    );
+  }
+  validation.warnings.forEach((w) => console.warn(`⚠️ Profile "${id}": ${formatIssue(w)}`));
+
+  return profileData;
+}
@@ -0,0 +1,59 @@
+import fs from "fs";
+import path from "path";
+
+// Deterministic offline provider for CI and laptops without network access. Replies come from fixture
+// files (MOCK_LLM_FIXTURES, default fixtures/llm/*.json) shaped like
+//   { "name": "...", "match": ["substring", ...], "finish_reason": "stop", "content": "<reply>" | { ...json } }
+// The first fixture, in file-name order, whose substrings all occur in the prompt answers it.
+// Structured outputs are not emulated: replies go through the same tolerant parsing and repair path
+// as providers without them.
+
+const DEFAULT_FIXTURES_DIR = path.join(process.cwd(), "fixtures", "llm");
+
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+// Streamed replies are sent in fixed-size chunks; MOCK_LLM_DELAY_MS slows them down to try cancelling
+const STREAM_CHUNK_CHARS = 64;
+const sleep = (ms) => new Promise((resolve) => (ms > 0 ? setTimeout(resolve, ms) : setImmediate(resolve)));
+
+function loadFixtures(dir) {
+  if (!fs.existsSync(dir)) throw new Error(`Mock LLM fixtures directory not found: ${dir}`);
+  return fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith(".json"))
+    .sort()
+    .map((file) => ({ file, ...JSON.parse(fs.readFileSync(path.join(dir, file), "utf-8")) }));
+}
+
+export function createMockProvider({ fixturesDir, chunkDelayMs = 0 } = {}) {
+  const dir = fixturesDir || DEFAULT_FIXTURES_DIR;
+
+  return {
+    name: "mock",
+    defaultModel: "mock",
+    structuredOutputs: false,
+    isConfigured: () => true,
+    async complete({ messages, model, signal, onToken }) {
+      const prompt = messages.map((m) => m.content).join("\n\n");
+      // Read on every call so fixtures can be edited without a restart
+      const fixture = loadFixtures(dir).find((f) => (f.match || []).every((needle) => prompt.includes(needle)));
+      if (!fixture) throw new Error("No mock LLM fixture matches the prompt");
+
+      const content = typeof fixture.content === "string" ? fixture.content : JSON.stringify(fixture.content);
+      console.log(`Mock LLM: answered with fixture ${fixture.file}`);
+      if (onToken) {
+        for (let i = 0; i < content.length; i += STREAM_CHUNK_CHARS) {
+          if (signal?.aborted) throw signal.reason;
+          onToken(content.slice(i, i + STREAM_CHUNK_CHARS));
+          await sleep(chunkDelayMs);
+        }
+      }
+      return {
+        id: `mock-${path.basename(fixture.file, ".json")}`,
+        model: model || "mock",
+        choices: [{ index: 0, finish_reason: fixture.finish_reason || "stop", message: { role: "assistant", content } }],
+        usage: { prompt_tokens: estimateTokens(prompt), completion_tokens: estimateTokens(content) },
+      };
+    },
+  };
+}
@@ -0,0 +1,55 @@
+import OpenAI from "openai";
+
+// OpenAI chat completions. With `baseURL` the same client talks to any OpenAI-compatible server
+// (vLLM, Ollama, LM Studio, llama.cpp server, ...), most of which only understand `max_tokens`
+// and may not support structured outputs (`response_format` with a JSON schema).
+export function createOpenAIProvider({
+  name = "openai",
+  apiKey,
+  baseURL,
+  defaultModel,
+  maxTokensParam = "max_completion_tokens",
+  structuredOutputs = true,
+  streamUsage = true,
+}) {
+  // Created on first use: the client throws at construction when the API key is missing,
+  // which would otherwise break every route that imports the provider
+  let client;
+  const getClient = () => (client ||= new OpenAI({ apiKey, ...(baseURL && { baseURL }) }));
+
+  return {
+    name,
+    defaultModel,
+    structuredOutputs,
+    isConfigured: () => Boolean(baseURL || apiKey),
+    async complete({ messages, model, maxTokens, responseFormat, signal, onToken }) {
+      const body = {
+        model: model || defaultModel,
+        [maxTokensParam]: maxTokens,
+        messages,
+        ...(structuredOutputs && responseFormat && { response_format: responseFormat }),
+      };
+      if (!onToken) return getClient().chat.completions.create(body, { signal });
+
+      // Streamed: hand each delta to onToken and rebuild the non-streaming response shape
+      const stream = await getClient().chat.completions.create(
+        { ...body, stream: true, ...(streamUsage && { stream_options: { include_usage: true } }) },
+        { signal }
+      );
+      const message = { role: "assistant", content: "", refusal: null };
+      const reply = { model: body.model, choices: [{ index: 0, finish_reason: null, message }], usage: null };
+      for await (const chunk of stream) {
+        if (chunk.model) reply.model = chunk.model;
+        if (chunk.usage) reply.usage = chunk.usage;
+        const choice = chunk.choices?.[0];
+        if (choice?.delta?.content) {
+          message.content += choice.delta.content;
+          onToken(choice.delta.content);
+        }
+        if (choice?.delta?.refusal) message.refusal = (message.refusal || "") + choice.delta.refusal;
+        if (choice?.finish_reason) reply.choices[0].finish_reason = choice.finish_reason;
+      }
+      return reply;
+    },
+  };
+}
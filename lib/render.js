@@ -0,0 +1,254 @@
+import chromium from "@sparticuz/chromium";
+import puppeteerCore from "puppeteer-core";
+import puppeteer from "puppeteer";
+import fs from "fs";
+import path from "path";
+import Handlebars from "handlebars";
+import { formatDateRange } from "./dates";
+import { sanitizeInlineHtml } from "./markup";
+import { createLimiter } from "./limit";
+import { createBrowserPool } from "./browser-pool";
+
+// Rendering half of the generate pipeline: tailored content -> templateData -> HTML -> PDF.
+// Nothing here calls the model, so the same content can be re-rendered with any template.
+
+export const TEMPLATES_DIR = path.join(process.cwd(), "templates");
+const TEMPLATE_ID_RE = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+
+// PDF_CONCURRENCY caps how many PDFs/PNGs render at once across the whole process
+// (kept on globalThis because API routes and instrumentation.js load separate copies of this module)
+const pdfSlots = (globalThis.__resumeTailorPdfSlots ||= createLimiter(Number(process.env.PDF_CONCURRENCY) || 2));
+
+// Unset -> fallback; anything but a number >= 0 also falls back, with a warning, rather than breaking every render
+function envNumber(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") return fallback;
+  const value = Number(raw);
+  if (Number.isFinite(value) && value >= 0) return value;
+  console.warn(`Ignoring ${name}="${raw}" (expected a number >= 0), using ${fallback}`);
+  return fallback;
+}
+
+// Chromium is shared between renders: BROWSER_POOL_SIZE browsers (0 = launch one per render),
+// each replaced after BROWSER_MAX_RENDERS renders and closed after BROWSER_IDLE_MS without work
+const browserPool = (globalThis.__resumeTailorBrowserPool ||= createBrowserPool({
+  launch: launchBrowser,
+  size: envNumber("BROWSER_POOL_SIZE", 1),
+  maxRenders: envNumber("BROWSER_MAX_RENDERS", 100),
+  idleMs: envNumber("BROWSER_IDLE_MS", 5 * 60 * 1000),
+}));
+
+// Register Handlebars helpers
+Handlebars.registerHelper('formatKey', function(key) {
+  // Convert keys like "Programming Languages" or "frontend" to proper format
+  return key;
+});
+
+Handlebars.registerHelper('join', function(array, separator) {
+  // Join array elements with separator
+  if (Array.isArray(array)) {
+    return array.join(separator);
+  }
+  return '';
+});
+
+Handlebars.registerHelper('dateRange', function(start, end) {
+  // Same normalized form as the prompt: "Apr 2024 – Present"
+  return formatDateRange(start, end);
+});
+
+export function templateExists(templateName) {
+  return TEMPLATE_ID_RE.test(templateName || "") && fs.existsSync(path.join(TEMPLATES_DIR, `${templateName}.html`));
+}
+
+// Merge the profile with the AI-tailored content into the object the Handlebars templates expect
+export function buildTemplateData(profileData, resumeContent) {
+  // Use AI experience when it includes company/dates (e.g. with Cascade Investment); else merge profile + AI by index
+  const aiExp = resumeContent.experience || [];
+  // (the response schema requires these fields, so "not given" arrives as an empty string)
+  const hasFullExperience = aiExp.length > 0 && aiExp.every((e) => e.company && e.start_date && e.end_date);
+  const experience = hasFullExperience
+    ? aiExp.map((e) => ({
+        title: e.title || "Engineer",
+        company: e.company,
+        location: e.location || "",
+        start_date: e.start_date,
+        end_date: e.end_date,
+        details: Array.isArray(e.details) ? e.details : [],
+        ...(Array.isArray(e.sources) && { sources: e.sources }),
+      }))
+    : profileData.experience.map((job, idx) => ({
+        title: job.title || aiExp[idx]?.title || "Engineer",
+        company: job.company,
+        location: job.location || "",
+        start_date: job.start_date,
+        end_date: job.end_date,
+        details: aiExp[idx]?.details || [],
+        ...(Array.isArray(aiExp[idx]?.sources) && { sources: aiExp[idx].sources }),
+      }));
+
+  return {
+    name: profileData.name,
+    // Resolved in lib/tailor.js (override > profile title > JD title)
+    title: resumeContent.title || profileData.title || "",
+    email: profileData.email,
+    phone: profileData.phone,
+    location: profileData.location,
+    linkedin: profileData.linkedin,
+    website: profileData.website,
+    summary: resumeContent.summary,
+    skills: resumeContent.skills,
+    experience,
+    education: profileData.education,
+  };
+}
+
+// Settings a template carries for other renderers, e.g. <script type="application/json" id="resume-fit">;
+// null when the block is missing or unreadable
+export function readTemplateBlock(templateName, id) {
+  const source = fs.readFileSync(path.join(TEMPLATES_DIR, `${templateName}.html`), "utf-8");
+  const match = new RegExp(`<script type="application/json" id="${id}">([\\s\\S]*?)</script>`).exec(source);
+  if (!match) return null;
+  try {
+    return JSON.parse(match[1]);
+  } catch (err) {
+    console.error(`Template "${templateName}" has an unreadable ${id} block:`, err.message);
+    return null;
+  }
+}
+
+export function renderHtml(templateData, templateName = "Resume") {
+  if (!templateExists(templateName)) {
+    throw Object.assign(new Error(`Template "${templateName}" not found`), { status: 404 });
+  }
+
+  const templateFile = `${templateName}.html`;
+  console.log(`Using template: ${templateFile}`);
+  const templateSource = fs.readFileSync(path.join(TEMPLATES_DIR, templateFile), "utf-8");
+  const compiledTemplate = Handlebars.compile(templateSource);
+
+  // The templates print summary and bullets unescaped ({{{summary}}}, {{{this}}}) and the data can come
+  // straight from a caller (/api/render, /api/preview), so only the inline markup the model writes survives
+  const html = compiledTemplate({
+    ...templateData,
+    summary: sanitizeInlineHtml(templateData.summary),
+    experience: (templateData.experience || []).map((exp) => ({
+      ...exp,
+      details: Array.isArray(exp.details) ? exp.details.map(sanitizeInlineHtml) : exp.details,
+    })),
+  });
+  console.log("HTML rendered from template");
+  return html;
+}
+
+// Cover letters (lib/cover-letter.js): templates/cover-letters/<template>.html when a resume template has its
+// own letter, else the shared Cover-Letter.html. The letter gets the resume template's <style> block as
+// `resumeStyles`, its <header> as the `resumeHeader` partial and its Word accent colour as `accent`, so the
+// letter and the resume print as a matching pair.
+export const COVER_LETTERS_DIR = path.join(TEMPLATES_DIR, "cover-letters");
+const DEFAULT_COVER_LETTER = "Cover-Letter";
+
+export function renderCoverLetterHtml(letterData, templateName = "Resume") {
+  if (!templateExists(templateName)) {
+    throw Object.assign(new Error(`Template "${templateName}" not found`), { status: 404 });
+  }
+
+  const resumeSource = fs.readFileSync(path.join(TEMPLATES_DIR, `${templateName}.html`), "utf-8");
+  const resumeStyles = /<style>([\s\S]*?)<\/style>/.exec(resumeSource)?.[1] || "";
+  const resumeHeader = /<header[\s\S]*?<\/header>/.exec(resumeSource)?.[0] || "";
+  const accent = readTemplateBlock(templateName, "resume-docx")?.accent || "3d3d3d";
+
+  const ownLetter = path.join(COVER_LETTERS_DIR, `${templateName}.html`);
+  const letterFile = fs.existsSync(ownLetter) ? ownLetter : path.join(COVER_LETTERS_DIR, `${DEFAULT_COVER_LETTER}.html`);
+  console.log(`Using cover letter template: ${path.basename(letterFile)} (styles from ${templateName}.html)`);
+  const compiledTemplate = Handlebars.compile(fs.readFileSync(letterFile, "utf-8"));
+
+  return compiledTemplate({ ...letterData, resumeStyles, accent }, { partials: { resumeHeader } });
+}
+
+async function launchBrowser() {
+  return process.env.NODE_ENV === 'production'
+    ? puppeteerCore.launch({
+        args: chromium.args,
+        executablePath: await chromium.executablePath(),
+        headless: chromium.headless,
+      })
+    : puppeteer.launch({ headless: "new" });
+}
+
+// Paper sizes for PDF output. Margins are 15mm top/bottom and none left/right (the templates pad themselves).
+export const PAPER_SIZES = {
+  a4: { format: "A4", widthMm: 210, heightMm: 297 },
+  letter: { format: "Letter", widthMm: 215.9, heightMm: 279.4 },
+};
+export const PAGE_MARGIN_MM = 15;
+export const mmToPx = (mm) => (mm * 96) / 25.4;
+
+export function resolvePaper(paper) {
+  const key = (paper || "a4").toLowerCase();
+  if (!PAPER_SIZES[key]) {
+    throw Object.assign(new Error(`Unknown paper size "${paper}" (expected ${Object.keys(PAPER_SIZES).join(" or ")})`), { status: 400 });
+  }
+  return key;
+}
+
+// Run fn(page) on a pooled browser page, within the PDF_CONCURRENCY limit
+export function withRenderPage(fn) {
+  return pdfSlots(() => browserPool.withPage(fn));
+}
+
+// Generate PDF with Puppeteer
+export function renderPdf(html, { paper = "a4" } = {}) {
+  return withRenderPage(async (page) => {
+    await page.setContent(html, { waitUntil: "networkidle0" });
+    return printPdf(page, paper);
+  });
+}
+
+// Print the page's current content
+export async function printPdf(page, paper = "a4") {
+  const pdfBuffer = await page.pdf({
+    format: PAPER_SIZES[resolvePaper(paper)].format,
+    printBackground: true,
+    margin: {
+      top: `${PAGE_MARGIN_MM}mm`,
+      bottom: `${PAGE_MARGIN_MM}mm`,
+      left: "0mm",
+      right: "0mm"
+    },
+  });
+  console.log("PDF generated successfully!");
+  return Buffer.from(pdfBuffer);
+}
+
+// Pages in a PDF printed by Chromium (page objects, not the /Pages tree nodes)
+export const countPdfPages = (pdf) => (Buffer.from(pdf).toString("latin1").match(/\/Type\s*\/Page(?![A-Za-z])/g) || []).length;
+
+// Full-page PNG screenshot of the rendered HTML at the paper's width; `scale` is the device pixel ratio
+export function renderPng(html, { scale = 1, paper = "a4" } = {}) {
+  const size = PAPER_SIZES[resolvePaper(paper)];
+  return withRenderPage(async (page) => {
+    await page.setViewport({
+      width: Math.round(mmToPx(size.widthMm)),
+      height: Math.round(mmToPx(size.heightMm)),
+      deviceScaleFactor: scale,
+    });
+    await page.setContent(html, { waitUntil: "networkidle0" });
+    return Buffer.from(await page.screenshot({ type: "png", fullPage: true }));
+  });
+}
+
+// Build safe filename: Name_company name_job title
+export function buildFileName(profileName, companyName, jobTitle) {
+  // Sanitize each part: remove spaces within section, remove special chars, keep only alphanumeric
+  const sanitize = (str) => str ? str.replace(/\s+/g, "").replace(/[^A-Za-z0-9]/g, "") : "";
+  const sanitizedName = sanitize(profileName || 'resume');
+  const sanitizedCompany = sanitize(companyName);
+  const sanitizedJobTitle = sanitize(jobTitle);
+
+  // Build filename: Name_company name_job title (underscores only between sections)
+  let baseName = sanitizedName;
+  if (sanitizedCompany) baseName += `_${sanitizedCompany}`;
+  if (sanitizedJobTitle) baseName += `_${sanitizedJobTitle}`;
+  return baseName;
+}
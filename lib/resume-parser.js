@@ -0,0 +1,223 @@
+import { callLLM } from "./llm";
+import { parseTolerantJson } from "./tolerant-json";
+
+// Heuristic PDF-text -> profile JSON parser (same shape as resumes/_template.json)
+
+const MONTH = "(?:Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)";
+const DATE = `(?:${MONTH}\\.?,?\\s+\\d{4}|\\d{1,2}\\/\\d{4}|\\d{4})`;
+const RANGE_RE = new RegExp(`(${DATE})\\s*(?:-|–|—|to)\\s*(${DATE}|Present|Current|Now|Today)`, "i");
+
+const EMAIL_RE = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/;
+const PHONE_RE = /(?:\+?\d{1,3}[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{3,4}/;
+const LINKEDIN_RE = /(?:https?:\/\/)?(?:[\w]+\.)?linkedin\.com\/in\/[\w%-]+\/?/i;
+const URL_RE = /(?:https?:\/\/)?(?:www\.)?[\w-]+(?:\.[\w-]+)*\.(?:com|io|dev|net|org|me|app|tech|co)(?:\/[\w./%-]*)?/i;
+const BULLET_RE = /^[•●▪■◦‣\-*–]\s*/;
+
+const SECTION_HEADERS = {
+  experience: /^(?:professional\s+|work\s+|relevant\s+)?(?:experience|employment(?:\s+history)?|work\s+history|career\s+history)$/i,
+  education: /^(?:education|academic\s+background|education\s+(?:&|and)\s+\w+)$/i,
+  other: /^(?:summary|profile|about(?:\s+me)?|objective|(?:technical\s+|core\s+)?skills|technologies|projects|certifications?|awards|languages|interests|publications|volunteer(?:ing)?|references)$/i,
+};
+
+const TITLE_WORDS = /\b(engineer|developer|programmer|architect|manager|lead|intern|analyst|consultant|designer|director|scientist|specialist|administrator|officer|head|president|founder|cto|ceo|vp|contractor|freelancer|devops|sre|technician|tester|qa)\b/i;
+const DEGREE_WORDS = /\b(bachelor|master|b\.?\s?s\.?c?|m\.?\s?s\.?c?|b\.?\s?a\.?|m\.?\s?a\.?|b\.?\s?eng|m\.?\s?eng|ph\.?\s?d|doctor|associate|diploma|degree|mba|bsc|msc)\b/i;
+const SCHOOL_WORDS = /\b(university|college|institute|school|academy|polytechnic|universidad|universit[àé])\b/i;
+const LOCATION_RE = /^(?:[Rr]emote|REMOTE|[A-Z][A-Za-z.' -]+,\s*[A-Z][A-Za-z. ]+)$/;
+
+const cleanLine = (line) => line.replace(/\s+/g, " ").trim();
+const stripBullet = (line) => line.replace(BULLET_RE, "").trim();
+
+const normalizeEnd = (value) => (/^(present|current|now|today)$/i.test(value) ? "Present" : value);
+const normalizeDate = (value) => value.replace(/\./g, "").replace(/,/g, "").replace(/\s+/g, " ").trim();
+
+function splitSections(lines) {
+  const sections = { header: [], experience: [], education: [], other: [] };
+  let current = "header";
+  for (const line of lines) {
+    const bare = line.replace(/[:|]+$/, "").trim();
+    const match = Object.entries(SECTION_HEADERS).find(([, re]) => re.test(bare));
+    if (match && bare.length < 40) {
+      current = match[0];
+      continue;
+    }
+    sections[current].push(line);
+  }
+  return sections;
+}
+
+function parseContact(headerLines, allText) {
+  const contact = { name: "", email: "", phone: "", location: "", linkedin: "", website: "" };
+
+  contact.email = allText.match(EMAIL_RE)?.[0] || "";
+  const linkedin = allText.match(LINKEDIN_RE)?.[0];
+  if (linkedin) contact.linkedin = linkedin.startsWith("http") ? linkedin : `https://${linkedin}`;
+
+  // Only look at the header block for phone/website/location to avoid picking up numbers from bullets
+  const header = headerLines.slice(0, 8);
+  for (const line of header) {
+    const phone = line.replace(EMAIL_RE, "").match(PHONE_RE)?.[0];
+    if (!contact.phone && phone && phone.replace(/\D/g, "").length >= 10) contact.phone = phone.trim();
+
+    const url = line.replace(EMAIL_RE, "").replace(LINKEDIN_RE, "").match(URL_RE)?.[0];
+    if (!contact.website && url) contact.website = url.startsWith("http") ? url : `https://${url}`;
+
+    for (const token of line.split(/\s*[|•·]\s*|\s{2,}/)) {
+      if (!contact.location && LOCATION_RE.test(token.trim()) && !EMAIL_RE.test(token)) {
+        contact.location = token.trim();
+      }
+    }
+  }
+
+  contact.name =
+    header.find(
+      (line) =>
+        !EMAIL_RE.test(line) &&
+        !PHONE_RE.test(line) &&
+        /^[A-Za-zÀ-ÿ'.-]+(?:\s+[A-Za-zÀ-ÿ'.-]+){1,3}$/.test(line)
+    ) || "";
+
+  return contact;
+}
+
+function splitRoleParts(text) {
+  return text
+    .split(/\s*(?:\||·|•|\bat\b|\s[-–—]\s)\s*/)
+    .flatMap((part) => {
+      // "Acme Corp, New York, NY" -> ["Acme Corp", "New York, NY"]
+      const match = part.match(/^(.+?),\s*([A-Z][A-Za-z.' ]+,\s*[A-Z][A-Za-z. ]+|Remote)$/);
+      return match ? [match[1], match[2]] : [part];
+    })
+    .map((part) => part.trim())
+    .filter((part) => part && !/^\d+\s*(yrs?|years?|mos?|months?)/i.test(part));
+}
+
+const isHeaderLine = (line) => line && !RANGE_RE.test(line) && !BULLET_RE.test(line) && line.length < 60;
+
+function parseExperience(lines) {
+  const entries = [];
+  let pending = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const range = line.match(RANGE_RE);
+
+    if (!range) {
+      if (BULLET_RE.test(line) || line.length > 90) {
+        // Bullet or sentence: belongs to the current role's description, not a header
+        pending = [];
+      } else {
+        pending.push(line);
+      }
+      continue;
+    }
+
+    // A line with a date range starts a new role; its header is this line plus up to two preceding lines,
+    // or the following line when the title comes after the dates
+    let parts = [...pending.slice(-2), line.replace(RANGE_RE, "")].flatMap(splitRoleParts);
+    pending = [];
+    if ((parts.length < 2 || !parts.some((part) => TITLE_WORDS.test(part))) && isHeaderLine(lines[i + 1])) {
+      parts = parts.concat(splitRoleParts(lines[i + 1]));
+      i++;
+    }
+
+    const title = parts.find((part) => TITLE_WORDS.test(part)) || "";
+    const location = parts.find((part) => part !== title && LOCATION_RE.test(part)) || "";
+    const company = parts.find((part) => part !== title && part !== location) || "";
+
+    entries.push({
+      company,
+      title,
+      location,
+      start_date: normalizeDate(range[1]),
+      end_date: normalizeEnd(normalizeDate(range[2])),
+    });
+  }
+
+  return entries;
+}
+
+function parseEducation(lines) {
+  const blocks = [];
+  let block = null;
+
+  for (const raw of lines) {
+    const line = stripBullet(raw);
+    const isSchool = SCHOOL_WORDS.test(line);
+    const isDegree = DEGREE_WORDS.test(line);
+    if (!block || (isSchool && block.school) || (isDegree && block.degree && !isSchool)) {
+      block = { degree: "", school: "", years: [] };
+      blocks.push(block);
+    }
+    const text = line.replace(RANGE_RE, "").replace(/\b(19|20)\d{2}\b/g, "").replace(/[|,–-]\s*$/, "").trim();
+    if (isSchool && !block.school) block.school = text.split(/\s*[|·]\s*/).find((p) => SCHOOL_WORDS.test(p)) || text;
+    if (isDegree && !block.degree) block.degree = text.split(/\s*[|·]\s*/).find((p) => DEGREE_WORDS.test(p)) || text;
+    block.years.push(...(line.match(/\b(?:19|20)\d{2}\b/g) || []));
+  }
+
+  return blocks
+    .filter((b) => b.school || b.degree)
+    .map((b) => {
+      const years = b.years.map(Number).sort((x, y) => x - y);
+      return {
+        degree: b.degree,
+        school: b.school,
+        start_year: years.length > 1 ? String(years[0]) : "",
+        end_year: years.length ? String(years[years.length - 1]) : "",
+      };
+    });
+}
+
+export function parseResumeText(text) {
+  const lines = String(text || "")
+    .split(/\r?\n/)
+    .map(cleanLine)
+    .filter(Boolean);
+
+  const sections = splitSections(lines);
+  const contact = parseContact(sections.header, lines.join("\n"));
+
+  return {
+    ...contact,
+    experience: parseExperience(sections.experience),
+    education: parseEducation(sections.education),
+  };
+}
+
+const AI_PARSE_PROMPT = `Extract the candidate profile from the resume text below. Return a single JSON object only (no other text, no markdown) with this exact structure. Copy values exactly as written in the resume; use an empty string for anything missing. Use "Present" for current roles.
+
+{"name":"","email":"","phone":"","location":"","linkedin":"","website":"","experience":[{"company":"","title":"","location":"","start_date":"<e.g. Jan 2020>","end_date":"<e.g. Present>"}],"education":[{"degree":"","school":"","start_year":"","end_year":""}]}
+
+Resume text:
+
+`;
+
+export async function parseResumeWithAI(text) {
+  const response = await callLLM(AI_PARSE_PROMPT + text, { maxTokens: 4000 });
+  const content = response.choices?.[0]?.message?.content ?? "";
+  // Throws when there is no JSON object, which sends the caller to the heuristic parser
+  const { value: parsed } = parseTolerantJson(content);
+
+  // Keep the output to the profile shape only
+  const str = (v) => (v == null ? "" : String(v).trim());
+  return {
+    name: str(parsed.name),
+    email: str(parsed.email),
+    phone: str(parsed.phone),
+    location: str(parsed.location),
+    linkedin: str(parsed.linkedin),
+    website: str(parsed.website),
+    experience: (Array.isArray(parsed.experience) ? parsed.experience : []).map((e) => ({
+      company: str(e.company),
+      title: str(e.title),
+      location: str(e.location),
+      start_date: str(e.start_date),
+      end_date: str(e.end_date),
+    })),
+    education: (Array.isArray(parsed.education) ? parsed.education : []).map((e) => ({
+      degree: str(e.degree),
+      school: str(e.school),
+      start_year: str(e.start_year),
+      end_year: str(e.end_year),
+    })),
+  };
+}
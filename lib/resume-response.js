@@ -0,0 +1,67 @@
+import responseSchema from "./schemas/resume-response.schema.json";
+import { parseTolerantJson } from "./tolerant-json";
+import { compileSchema, formatSchemaError } from "./schema-errors";
+
+// The tailoring response contract: schemas/resume-response.schema.json is sent to providers with
+// structured outputs and checked locally with ajv for everyone else. Violations are reported
+// back to the model as a targeted repair request (see lib/tailor.js).
+
+const validateSchema = compileSchema(responseSchema);
+
+// Keywords strict structured outputs reject; ajv still enforces them here
+const STRICT_UNSUPPORTED = new Set(["$schema", "title", "minLength", "minItems"]);
+
+// Also used for the cover letter reply (lib/cover-letter.js)
+export function toStrictSchema(node) {
+  if (Array.isArray(node)) return node.map(toStrictSchema);
+  if (!node || typeof node !== "object") return node;
+  const out = {};
+  for (const [key, value] of Object.entries(node)) {
+    if (key === "properties") {
+      // Property names such as "title" are fields, not keywords
+      out.properties = Object.fromEntries(Object.entries(value).map(([name, schema]) => [name, toStrictSchema(schema)]));
+    } else if (!STRICT_UNSUPPORTED.has(key)) {
+      out[key] = toStrictSchema(value);
+    }
+  }
+  return out;
+}
+
+export const RESUME_RESPONSE_FORMAT = {
+  type: "json_schema",
+  json_schema: { name: "tailored_resume", strict: true, schema: toStrictSchema(responseSchema) },
+};
+
+// Models without structured outputs often return skills as a { category: [items] } map
+function coerceSkills(data) {
+  if (data && data.skills && typeof data.skills === "object" && !Array.isArray(data.skills)) {
+    return { ...data, skills: Object.entries(data.skills).map(([category, items]) => ({ category, items })) };
+  }
+  return data;
+}
+
+// Read a model reply: { data, errors: [{ path, message }], truncated }; data is null when no JSON object was found
+export function readResumeResponse(text) {
+  let parsed;
+  try {
+    parsed = parseTolerantJson(text);
+  } catch (err) {
+    return { data: null, errors: [{ path: "", message: `no JSON object could be read (${err.message})` }], truncated: false };
+  }
+
+  const data = coerceSkills(parsed.value);
+  const errors = validateSchema(data) ? [] : validateSchema.errors.map(formatSchemaError);
+  if (parsed.truncated) errors.unshift({ path: "", message: "the JSON object was cut off before it was complete" });
+  return { data, errors, truncated: parsed.truncated };
+}
+
+export function buildRepairMessage(errors) {
+  const list = errors.map((e) => `- ${e.path || "(root)"}: ${e.message}`).join("\n");
+  return `Your JSON did not match the required structure:
+${list}
+
+Return the complete corrected JSON object only (no other text, no markdown). Fix only the problems listed and keep everything else exactly as it was.`;
+}
+
+// [{ category, items }] -> { category: items }, the shape the templates and editor use
+export const skillsToMap = (skills) => Object.fromEntries(skills.map(({ category, items }) => [category, items]));
@@ -0,0 +1,31 @@
+import Ajv from "ajv";
+
+// JSON Schema checks shared by profiles, prompt presets, model replies and /api/render data:
+// one ajv instance, and errors reported as [{ path, message }] with "experience[0].title"-style paths.
+
+const ajv = new Ajv({ allErrors: true });
+
+export const compileSchema = (schema) => ajv.compile(schema);
+
+// "/experience/0/title" -> "experience[0].title"
+export const toPath = (pointer) =>
+  pointer
+    .split("/")
+    .slice(1)
+    .reduce((acc, part) => (/^\d+$/.test(part) ? `${acc}[${part}]` : acc ? `${acc}.${part}` : part), "");
+
+// One ajv error -> { path, message }; a missing property is reported at its own path
+export function formatSchemaError(err) {
+  const path = toPath(err.instancePath);
+  if (err.keyword === "required") {
+    return { path: path ? `${path}.${err.params.missingProperty}` : err.params.missingProperty, message: "is required" };
+  }
+  if (err.keyword === "additionalProperties") {
+    return { path, message: `has unexpected property "${err.params.additionalProperty}"` };
+  }
+  return { path, message: err.message };
+}
+
+// "experience[0].title is required; ..." for error messages
+export const describeSchemaErrors = (errors) =>
+  (errors || []).map(formatSchemaError).map((e) => `${e.path || "(root)"} ${e.message}`).join("; ");
@@ -0,0 +1,76 @@
+import { lookupSkill, findSkills } from "./skills";
+
+// A profile's skills inventory: the optional `skills` list in resumes/<id>.json, each entry
+// { name, category?, proficiency?, last_used? }. In the "inventory" skills mode the Skills section may
+// only pick and order entries from it; JD skills the inventory lacks are reported as gaps instead.
+// No Node imports: the skills editor page (pages/skills.js) shares the constants.
+
+export const PROFICIENCY_LEVELS = ["beginner", "intermediate", "advanced", "expert"];
+// "jd": the Skills section follows the JD (the original behaviour); "inventory": only skills from the profile
+export const SKILLS_MODES = ["jd", "inventory"];
+export const DEFAULT_SKILL_CATEGORY = "Skills";
+
+export const hasSkillInventory = (profile) => Array.isArray(profile?.skills) && profile.skills.length > 0;
+
+// Synonyms share a key ("Postgres" and "PostgreSQL"); unknown skills compare case-insensitively
+export const skillKey = (name) => (lookupSkill(name)?.name || String(name || "").trim()).toLowerCase();
+
+// "- PostgreSQL (Databases; expert; last used 2024)" lines for the prompt
+export function formatInventory(skills) {
+  return skills
+    .map((skill) => {
+      const facts = [skill.category, skill.proficiency, skill.last_used && `last used ${skill.last_used}`].filter(Boolean);
+      return `- ${skill.name}${facts.length ? ` (${facts.join("; ")})` : ""}`;
+    })
+    .join("\n");
+}
+
+// Keep only inventory skills in a { category: [items] } Skills section, written the way the inventory
+// spells them. A compound item ("AWS (Lambda, S3)") keeps the inventory skills it mentions.
+// Returns { skills, dropped: [item] }; when nothing survives, the whole inventory is listed by its own
+// categories so the section is never empty.
+export function constrainSkills(skillsMap, inventory) {
+  // The first of two synonymous entries wins (validateProfile warns about the repeat)
+  const byKey = new Map(inventory.map((skill) => [skillKey(skill.name), skill]).reverse());
+  const used = new Set();
+  const dropped = [];
+  const skills = {};
+
+  for (const [category, items] of Object.entries(skillsMap || {})) {
+    const kept = [];
+    for (const item of Array.isArray(items) ? items : []) {
+      const key = skillKey(item);
+      const keys = byKey.has(key) ? [key] : findSkills(item).map((s) => s.name.toLowerCase()).filter((k) => byKey.has(k));
+      if (!keys.length) dropped.push(item);
+      for (const k of keys.filter((k) => !used.has(k))) {
+        used.add(k);
+        kept.push(byKey.get(k).name);
+      }
+    }
+    if (kept.length) skills[category] = kept;
+  }
+
+  if (!used.size) {
+    for (const skill of inventory) {
+      const category = skill.category || DEFAULT_SKILL_CATEGORY;
+      (skills[category] = skills[category] || []).push(skill.name);
+    }
+  }
+  return { skills, dropped };
+}
+
+// JD skills ({ requiredSkills, niceToHaveSkills }, e.g. from lib/jd-analyzer.js) the inventory does not have
+export function findSkillGaps(jdSkills, inventory) {
+  const owned = new Set(inventory.map((skill) => skillKey(skill.name)));
+  const seen = new Set();
+  const gaps = [];
+  for (const [list, required] of [[jdSkills?.requiredSkills, true], [jdSkills?.niceToHaveSkills, false]]) {
+    for (const name of list || []) {
+      const key = skillKey(name);
+      if (owned.has(key) || seen.has(key)) continue;
+      seen.add(key);
+      gaps.push({ name: lookupSkill(name)?.name || name, required });
+    }
+  }
+  return gaps;
+}
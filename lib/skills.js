@@ -0,0 +1,200 @@
+// Skill dictionary: canonical names with the spellings JDs and resumes use for them.
+// Aliases match case-insensitively on word boundaries; `exact` entries (ordinary English words such as
+// "Go", "Rust", "Spring" or "Express") only match as written. No Node imports: shared with the browser.
+
+export const SKILLS = [
+  // Languages
+  { name: "JavaScript", category: "Languages", aliases: ["JavaScript", "ECMAScript", "ES6"], exact: ["JS"] },
+  { name: "TypeScript", category: "Languages", aliases: ["TypeScript"] },
+  { name: "Python", category: "Languages", aliases: ["Python", "Python3"] },
+  { name: "Java", category: "Languages", aliases: ["Java"] },
+  { name: "Kotlin", category: "Languages", aliases: ["Kotlin"] },
+  { name: "Scala", category: "Languages", aliases: ["Scala"] },
+  { name: "Go", category: "Languages", aliases: ["Golang"], exact: ["Go"] },
+  { name: "Rust", category: "Languages", aliases: [], exact: ["Rust"] },
+  { name: "C++", category: "Languages", aliases: ["C++", "CPP"] },
+  { name: "C#", category: "Languages", aliases: ["C#", "CSharp"] },
+  { name: "Ruby", category: "Languages", aliases: ["Ruby"] },
+  { name: "PHP", category: "Languages", aliases: ["PHP"] },
+  { name: "Swift", category: "Languages", aliases: [], exact: ["Swift"] },
+  { name: "Objective-C", category: "Languages", aliases: ["Objective-C", "ObjC"] },
+  { name: "Elixir", category: "Languages", aliases: ["Elixir"] },
+  { name: "Haskell", category: "Languages", aliases: ["Haskell"] },
+  { name: "Clojure", category: "Languages", aliases: ["Clojure"] },
+  { name: "Dart", category: "Languages", aliases: ["Dart"] },
+  { name: "Perl", category: "Languages", aliases: ["Perl"] },
+  { name: "Bash", category: "Languages", aliases: ["Bash", "shell scripting", "shell scripts"] },
+  { name: "SQL", category: "Languages", aliases: ["SQL"] },
+  { name: "Solidity", category: "Languages", aliases: ["Solidity"] },
+
+  // Frontend
+  { name: "React", category: "Frontend", aliases: ["React", "React.js", "ReactJS"] },
+  { name: "Next.js", category: "Frontend", aliases: ["Next.js", "NextJS"] },
+  { name: "Vue.js", category: "Frontend", aliases: ["Vue", "Vue.js", "VueJS"] },
+  { name: "Nuxt", category: "Frontend", aliases: ["Nuxt", "Nuxt.js"] },
+  { name: "Angular", category: "Frontend", aliases: ["Angular", "AngularJS"] },
+  { name: "Svelte", category: "Frontend", aliases: ["Svelte", "SvelteKit"] },
+  { name: "Redux", category: "Frontend", aliases: ["Redux"] },
+  { name: "HTML", category: "Frontend", aliases: ["HTML", "HTML5"] },
+  { name: "CSS", category: "Frontend", aliases: ["CSS", "CSS3"] },
+  { name: "Sass", category: "Frontend", aliases: ["Sass", "SCSS"] },
+  { name: "Tailwind CSS", category: "Frontend", aliases: ["Tailwind", "Tailwind CSS", "TailwindCSS"] },
+  { name: "Webpack", category: "Frontend", aliases: ["Webpack"] },
+  { name: "Vite", category: "Frontend", aliases: ["Vite"] },
+  { name: "jQuery", category: "Frontend", aliases: ["jQuery"] },
+
+  // Backend
+  { name: "Node.js", category: "Backend", aliases: ["Node.js", "NodeJS"], exact: ["Node"] },
+  { name: "Express", category: "Backend", aliases: ["Express.js", "ExpressJS"], exact: ["Express"] },
+  { name: "NestJS", category: "Backend", aliases: ["NestJS", "Nest.js"] },
+  { name: "Django", category: "Backend", aliases: ["Django"] },
+  { name: "Flask", category: "Backend", aliases: ["Flask"] },
+  { name: "FastAPI", category: "Backend", aliases: ["FastAPI"] },
+  { name: "Spring Boot", category: "Backend", aliases: ["Spring Boot", "SpringBoot"], exact: ["Spring"] },
+  { name: "Ruby on Rails", category: "Backend", aliases: ["Ruby on Rails", "RoR"], exact: ["Rails"] },
+  { name: "Laravel", category: "Backend", aliases: ["Laravel"] },
+  { name: ".NET", category: "Backend", aliases: [".NET", "ASP.NET", "dotnet", ".NET Core"] },
+  { name: "GraphQL", category: "Backend", aliases: ["GraphQL", "Apollo"] },
+  { name: "REST APIs", category: "Backend", aliases: ["RESTful", "REST API", "REST APIs"], exact: ["REST"] },
+  { name: "gRPC", category: "Backend", aliases: ["gRPC"] },
+  { name: "Microservices", category: "Backend", aliases: ["microservices", "microservice", "micro-services"] },
+  { name: "WebSockets", category: "Backend", aliases: ["WebSocket", "WebSockets"] },
+
+  // Databases
+  { name: "PostgreSQL", category: "Databases", aliases: ["PostgreSQL", "Postgres"] },
+  { name: "MySQL", category: "Databases", aliases: ["MySQL", "MariaDB"] },
+  { name: "SQL Server", category: "Databases", aliases: ["SQL Server", "MSSQL", "T-SQL"] },
+  { name: "Oracle", category: "Databases", aliases: ["Oracle DB", "PL/SQL"], exact: ["Oracle"] },
+  { name: "SQLite", category: "Databases", aliases: ["SQLite"] },
+  { name: "MongoDB", category: "Databases", aliases: ["MongoDB", "Mongo"] },
+  { name: "Redis", category: "Databases", aliases: ["Redis"] },
+  { name: "Elasticsearch", category: "Databases", aliases: ["Elasticsearch", "Elastic Search", "OpenSearch"] },
+  { name: "Cassandra", category: "Databases", aliases: ["Cassandra"] },
+  { name: "DynamoDB", category: "Databases", aliases: ["DynamoDB"] },
+  { name: "Snowflake", category: "Databases", aliases: [], exact: ["Snowflake"] },
+  { name: "BigQuery", category: "Databases", aliases: ["BigQuery"] },
+  { name: "Redshift", category: "Databases", aliases: ["Redshift"] },
+  { name: "NoSQL", category: "Databases", aliases: ["NoSQL"] },
+
+  // Cloud and infrastructure
+  { name: "AWS", category: "Cloud", aliases: ["AWS", "Amazon Web Services"] },
+  { name: "Azure", category: "Cloud", aliases: ["Azure", "Microsoft Azure"] },
+  { name: "GCP", category: "Cloud", aliases: ["GCP", "Google Cloud", "Google Cloud Platform"] },
+  { name: "AWS Lambda", category: "Cloud", aliases: ["Lambda", "AWS Lambda"] },
+  { name: "Serverless", category: "Cloud", aliases: ["serverless"] },
+  { name: "Docker", category: "DevOps", aliases: ["Docker", "containerization"] },
+  { name: "Kubernetes", category: "DevOps", aliases: ["Kubernetes", "K8s", "EKS", "GKE", "AKS"] },
+  { name: "Helm", category: "DevOps", aliases: ["Helm"] },
+  { name: "Terraform", category: "DevOps", aliases: ["Terraform"] },
+  { name: "Ansible", category: "DevOps", aliases: ["Ansible"] },
+  { name: "CloudFormation", category: "DevOps", aliases: ["CloudFormation"] },
+  { name: "Infrastructure as Code", category: "DevOps", aliases: ["infrastructure as code", "IaC"] },
+  { name: "CI/CD", category: "DevOps", aliases: ["CI/CD", "CI / CD", "continuous integration", "continuous delivery", "continuous deployment"] },
+  { name: "Jenkins", category: "DevOps", aliases: ["Jenkins"] },
+  { name: "GitHub Actions", category: "DevOps", aliases: ["GitHub Actions"] },
+  { name: "GitLab CI", category: "DevOps", aliases: ["GitLab CI", "GitLab"] },
+  { name: "Git", category: "DevOps", aliases: ["Git"] },
+  { name: "Linux", category: "DevOps", aliases: ["Linux", "Unix"] },
+  { name: "Nginx", category: "DevOps", aliases: ["Nginx"] },
+  { name: "Prometheus", category: "DevOps", aliases: ["Prometheus"] },
+  { name: "Grafana", category: "DevOps", aliases: ["Grafana"] },
+  { name: "Datadog", category: "DevOps", aliases: ["Datadog"] },
+  { name: "Observability", category: "DevOps", aliases: ["observability"] },
+
+  // Data and messaging
+  { name: "Kafka", category: "Data", aliases: ["Kafka", "Apache Kafka"] },
+  { name: "RabbitMQ", category: "Data", aliases: ["RabbitMQ"] },
+  { name: "Apache Spark", category: "Data", aliases: ["Apache Spark", "PySpark"], exact: ["Spark"] },
+  { name: "Airflow", category: "Data", aliases: ["Apache Airflow"], exact: ["Airflow"] },
+  { name: "dbt", category: "Data", aliases: ["dbt"] },
+  { name: "Hadoop", category: "Data", aliases: ["Hadoop"] },
+  { name: "ETL", category: "Data", aliases: ["ETL", "ELT", "data pipelines", "data pipeline"] },
+  { name: "Pandas", category: "Data", aliases: ["Pandas"] },
+  { name: "NumPy", category: "Data", aliases: ["NumPy"] },
+  { name: "Tableau", category: "Data", aliases: ["Tableau"] },
+  { name: "Power BI", category: "Data", aliases: ["Power BI", "PowerBI"] },
+
+  // Machine learning
+  { name: "Machine Learning", category: "AI/ML", aliases: ["machine learning", "ML"] },
+  { name: "Deep Learning", category: "AI/ML", aliases: ["deep learning"] },
+  { name: "PyTorch", category: "AI/ML", aliases: ["PyTorch"] },
+  { name: "TensorFlow", category: "AI/ML", aliases: ["TensorFlow", "Keras"] },
+  { name: "scikit-learn", category: "AI/ML", aliases: ["scikit-learn", "sklearn"] },
+  { name: "LLMs", category: "AI/ML", aliases: ["LLM", "LLMs", "large language models", "large language model"] },
+  { name: "NLP", category: "AI/ML", aliases: ["NLP", "natural language processing"] },
+  { name: "Computer Vision", category: "AI/ML", aliases: ["computer vision"] },
+  { name: "MLOps", category: "AI/ML", aliases: ["MLOps"] },
+
+  // Mobile
+  { name: "iOS", category: "Mobile", aliases: ["iOS"] },
+  { name: "Android", category: "Mobile", aliases: ["Android"] },
+  { name: "React Native", category: "Mobile", aliases: ["React Native"] },
+  { name: "Flutter", category: "Mobile", aliases: ["Flutter"] },
+
+  // Testing
+  { name: "Jest", category: "Testing", aliases: [], exact: ["Jest"] },
+  { name: "Cypress", category: "Testing", aliases: ["Cypress"] },
+  { name: "Playwright", category: "Testing", aliases: ["Playwright"] },
+  { name: "Selenium", category: "Testing", aliases: ["Selenium"] },
+  { name: "pytest", category: "Testing", aliases: ["pytest"] },
+  { name: "JUnit", category: "Testing", aliases: ["JUnit"] },
+  { name: "Unit Testing", category: "Testing", aliases: ["unit testing", "unit tests", "automated testing", "test automation"] },
+  { name: "TDD", category: "Testing", aliases: ["TDD", "test-driven development", "test driven development"] },
+
+  // Practices
+  { name: "Agile", category: "Practices", aliases: ["Agile"] },
+  { name: "Scrum", category: "Practices", aliases: ["Scrum"] },
+  { name: "Kanban", category: "Practices", aliases: ["Kanban"] },
+  { name: "System Design", category: "Practices", aliases: ["system design", "distributed systems", "scalable systems"] },
+  { name: "Security", category: "Practices", aliases: ["application security", "OWASP", "OAuth", "OAuth2", "SSO"] },
+  { name: "Code Review", category: "Practices", aliases: ["code review", "code reviews"] },
+  { name: "Mentoring", category: "Practices", aliases: ["mentoring", "mentorship"], exact: ["mentor"] },
+];
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+
+// Word boundaries that treat "+", "#" and "." inside names (C++, C#, Node.js) as part of the word
+const termPattern = (term) => `(?<![A-Za-z0-9+#])${escapeRegExp(term)}(?![A-Za-z0-9+#]|\\.[A-Za-z0-9])`;
+
+const MATCHERS = SKILLS.map((skill) => ({
+  skill,
+  patterns: [
+    ...(skill.aliases.length ? [new RegExp(skill.aliases.map(termPattern).join("|"), "gi")] : []),
+    ...(skill.exact?.length ? [new RegExp(skill.exact.map(termPattern).join("|"), "g")] : []),
+  ],
+}));
+
+const PATTERNS_BY_NAME = new Map(MATCHERS.map(({ skill, patterns }) => [skill.name, patterns]));
+const BY_NAME = new Map(SKILLS.map((skill) => [skill.name.toLowerCase(), skill]));
+const BY_ALIAS = new Map(SKILLS.flatMap((skill) => [...skill.aliases, ...(skill.exact || [])].map((alias) => [alias.toLowerCase(), skill])));
+
+// The dictionary entry a free-form skill name ("golang", "Postgres") refers to, or null
+export function lookupSkill(term) {
+  const key = String(term ?? "").trim().toLowerCase();
+  return BY_NAME.get(key) || BY_ALIAS.get(key) || null;
+}
+
+// Every dictionary skill mentioned in `text`, in order of first mention: [{ name, category, index }]
+export function findSkills(text) {
+  const source = String(text ?? "");
+  const found = [];
+  for (const { skill, patterns } of MATCHERS) {
+    let index = -1;
+    for (const pattern of patterns) {
+      pattern.lastIndex = 0;
+      const match = pattern.exec(source);
+      if (match && (index < 0 || match.index < index)) index = match.index;
+    }
+    if (index >= 0) found.push({ name: skill.name, category: skill.category, index });
+  }
+  return found.sort((a, b) => a.index - b.index);
+}
+
+// How often `name` is mentioned in `text`: by any of its spellings for a dictionary skill, literally otherwise
+export function countSkill(text, name) {
+  const skill = lookupSkill(name);
+  const term = String(name ?? "").trim();
+  if (!skill && !term) return 0;
+  const patterns = skill ? PATTERNS_BY_NAME.get(skill.name) : [new RegExp(termPattern(term), "gi")];
+  return patterns.reduce((count, pattern) => count + (String(text ?? "").match(pattern) || []).length, 0);
+}
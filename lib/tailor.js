@@ -0,0 +1,364 @@
+import { callLLM } from "./llm";
+import { analyzeExperience, formatDateRange } from "./dates";
+import { boldToStrong } from "./markup";
+import { resolveHeadline, applyHeadlineToSummary } from "./headline";
+import { RESUME_RESPONSE_FORMAT, readResumeResponse, buildRepairMessage, skillsToMap } from "./resume-response";
+import { formatInventory, constrainSkills } from "./skill-inventory";
+import { hasBulletLibrary, bulletLibrary, formatRoleLibrary, readBulletSource } from "./bullet-library";
+
+// Follow-up requests when the reply does not match schemas/resume-response.schema.json
+const MAX_REPAIR_ATTEMPTS = 1;
+const TOKEN_PROGRESS_CHARS = 200;
+
+// Model half of the generate pipeline: builds the prompt from a profile, JD and prompt preset (lib/presets.js),
+// calls the LLM provider (lib/llm.js), recovers the JSON and post-processes it.
+// Returns the tailored content only; rendering lives in lib/render.js.
+// `headline` is the user's override for the resume title; `jobTitle` (from the form) backs up the JD-derived one.
+// `signal` cancels the model calls; `onProgress(stage, data)` reports model/tokens/parsed stages (see lib/generate.js).
+// `skillsMode` "inventory" limits the Skills section to the profile's skills inventory (lib/skill-inventory.js).
+export async function tailorResume(
+  profileData,
+  jd,
+  preset,
+  { headline: headlineOverride, jobTitle, skillsMode = "jd", signal = null, onProgress = null } = {}
+) {
+  const inventoryOnly = skillsMode === "inventory";
+  // Roles with source bullets (lib/bullet-library.js) list them, and every tailored bullet cites one or is "[new]"
+  const library = hasBulletLibrary(profileData) ? bulletLibrary(profileData) : null;
+
+  // Years of experience: overlapping roles merged, gaps and internships not counted
+  const timeline = analyzeExperience(profileData.experience);
+  const yearsOfExperience = timeline.years;
+  console.log(`Experience: ${yearsOfExperience} years (${timeline.totalMonths} months), ${timeline.gaps.length} gap(s)`);
+
+  // Build base resume text for the prompt (name, contact, experience, education)
+  const baseResume = [
+    profileData.name,
+    [profileData.email, profileData.phone, profileData.location].filter(Boolean).join(" | "),
+    `Total professional experience: ${yearsOfExperience} years`,
+    "",
+    "PROFESSIONAL EXPERIENCE",
+    ...profileData.experience.flatMap((j, idx) => [
+      `${j.title || "Role"} at ${j.company}${j.location ? ", " + j.location : ""} | ${formatDateRange(j.start_date, j.end_date)}`,
+      ...(library ? formatRoleLibrary(j, idx) : []),
+    ]),
+    "",
+    "EDUCATION",
+    ...profileData.education.map(
+      (e) => `${e.degree}, ${e.school} (${e.start_year}-${e.end_year})${e.grade ? " | " + e.grade : ""}`
+    ),
+    ...(inventoryOnly ? ["", "SKILLS INVENTORY (every skill the candidate has)", formatInventory(profileData.skills)] : []),
+  ].join("\n");
+
+  const { seniorityLabel, tone, summary: summaryLength } = preset;
+
+  // An override or profile title is known up front; otherwise the headline is the JD title the model returns
+  const known = resolveHeadline({ override: headlineOverride, profileTitle: profileData.title });
+
+  // The inventory mode picks from the candidate's own skills instead of listing everything the JD names
+  const skillsRule = inventoryOnly
+    ? `8. CRITICAL SKILLS SECTION: List ONLY skills from the SKILLS INVENTORY in the base resume, spelled exactly as they appear there. NEVER add a skill that is not in the inventory, even when the JD asks for it; this overrides objectives 1, 7 and 12 for the Skills section.
+  8a. Pick the inventory skills relevant to the JD; leave out ones that are unrelated or last used long ago.
+  8b. Group them into categories and order the groups and the skills within them by the JD's emphasis, then by proficiency and how recently they were used.`
+    : `8. CRITICAL SKILLS SECTION: Create an EXCEPTIONALLY RICH, DENSE, and COMPREHENSIVE Skills section. Extract and list EVERY technology, tool, framework, library, service, and methodology from BOTH the JD AND candidate's experience. Make it so comprehensive it dominates keyword matching.
+  8a. Include ecosystems even if not explicitly in the JD but common to that tech stack (e.g., REST, GraphQL, CI/CD).
+  8b. Avoid duplicates but prioritize variety (e.g., list both "Docker" and "Containerization").
+  8c. List them in STRUCTURE, Order skill groups by the JD's emphasis (frontend-first, backend-first, etc.).`;
+
+  const libraryRule = library
+    ? `SOURCE BULLET LIBRARY: Under each role, the base resume lists the candidate's real accomplishments, each with an id in square brackets. Build every role's bullets from its own library first: select the accomplishments most relevant to the JD, rank them by relevance (most relevant first), and rephrase them in the JD's language while keeping their facts and metrics. Start EVERY bullet with the id of the library bullet it came from in square brackets, e.g. "[1.2] Reduced...". Only when a role's library runs out, write new bullets to reach the bullet count, and start each of those with "[new]". Never cite an id for a bullet that does not come from that library entry.
+
+`
+    : "";
+
+  // Bullet counts come from the preset; a truncated response is retried with its smaller retry range
+  const resumePromptTemplate = ({ min, max }) => `You are a world-class ${preset.technical ? "technical " : ""}resume assistant.
+
+SYSTEM INSTRUCTION: Make the resume align as closely as possible with the Job Description (JD). Must proactively REPLACE, REPHRASE, and ADD bullet points under each Experience entry, especially recent/current roles, to ensure the language, skills, and technologies match the JD specifically. Do NOT leave any Experience section or bullet point unchanged if it could better reflect or incorporate keywords, duties, or requirements from the JD. Acceptable and encouraged to write NEW bullet points where there are relevant experiences (even if not previously mentioned). Prioritize jobs/roles closest to the desired job.
+
+Your main objectives:
+1. Maximize keyword/skills and responsibilities match between the resume and the job description (JD). Use the exact relevant technology, tool, process, or methodology names from the JD wherever accurate.
+  1a. Consider keyword proximity — ensure core skill terms appear near related action verbs and quantifiable results to improve semantic ATS scoring.
+  1b. Cross-link skills (e.g., "React with TypeScript," "AWS Lambda for automation") to simulate real project context and improve weighted keyword grouping.
+  1c. Focus on the required skills, technologies, and ecosystems from the JD regardless of the original resume, and use them to create realistic and relevant bullet points.
+2. Preserve all original company names, job titles, and periods/dates in the Professional Experience section.
+  2a. INDUSTRY ALIGNMENT: Identify the JD's industry (e.g., fintech, healthcare, retail). For each Experience entry, check whether the company name/type could plausibly belong to that industry:
+  - If the company is generic or ambiguous (e.g., "LLC," "Inc.," "Solutions," "Tech Corp," or names that do not clearly indicate a different industry), write the experience bullets and context as if the role were in the JD's industry. Use that industry's terminology, domain, and typical responsibilities where accurate.
+  - If the company clearly belongs to another industry (e.g., "State University," "School District," "Hospital System," "Education Corp"), do NOT relabel or reframe the company as the JD's industry. Keep the experience context consistent with that company's actual industry; only align skills, technologies, and transferable duties to the JD.
+  2b. FALLBACK ROLE WHEN NO COMPANY FITS JD INDUSTRY: If every company on the resume is clearly tied to an industry that cannot plausibly be the JD's industry (e.g., all are education or healthcare while the JD is fintech), add exactly one part-time role with company name "Cascade Investment" in an appropriate time period (e.g., overlapping or adjacent to existing roles, or in a gap). Place this role in the correct chronological position within the Professional Experience section—i.e., order all roles by date (most recent first) and insert the Cascade Investment entry where its dates fall, not at the end of the list. Use a job title and bullets that fit both retail and the JD's required skills/industry context. Keep the role concise (e.g., 4–6 bullets). Do not add this role if at least one existing company could plausibly be in the JD's industry (e.g., generic LLC/Inc.).
+3. In each Experience/job entry, produce ${min}–${max} bullets (one sentence per bullet), each a concise storytelling sentence (challenge → action → result). This is a hard requirement: NEVER fewer than ${min} bullets per role. The longest company should have ${max} bullets, and the others should have ${min}–${max} bullets according to company period length. Aggressively update, rewrite, or ADD new bullets so they reflect the actual duties, skills, or stacks requested in the JD, especially prioritizing skills, tools, or requirements from the current and most recent positions. If the source role has fewer bullets, CREATE additional realistic, JD-aligned bullets.
+4. Make the experiences emphasize the main tech stack from the JD in the most recent or relevant roles, and distribute additional or secondary JD requirements across earlier positions naturally. Each company's experience should collectively cover the full range of JD skills and duties.
+${preset.technical ? "Include explicit database-related experience in the Professional Experience section.\n" : ""}5. Place the SKILLS section immediately after the SUMMARY section and before the PROFESSIONAL EXPERIENCE section. This ensures all key stacks and technologies are visible at the top of the resume for ATS and recruiters.
+6. In the Summary, integrate the most essential and high-priority skills, stacks, and requirements from the JD, emphasizing the strongest elements from the original. Keep it dense with relevant keywords and technologies, but natural in tone.
+7. In every section (Summary, Skills, Experience), INCLUDE as many relevant unique keywords and technologies from the job description as possible.
+${skillsRule}
+
+9. Preserve all original quantified metrics (numbers, percentages, etc.) and actively introduce additional quantification in new or reworded bullets wherever possible. Use measurable outcomes, frequency, scope, or scale to increase the impact of each responsibility or accomplishment. Strive for at least 75% of all Experience bullet points to include a number, percentage, range, or scale to strengthen ATS, recruiter, and hiring manager perception.
+10. Strictly maximize verb variety: No action verb (e.g., developed, led, built, designed, implemented, improved, created, managed, engineered, delivered, optimized, automated, collaborated, mentored) may appear more than twice in the entire document, and never in adjacent or back-to-back bullet points within or across jobs. Each bullet must start with a unique, action-oriented verb whenever possible.
+11. In all Experience bullets, prefer keywords and phrasing directly from the JD where it truthfully reflects the candidate's background and would boost ATS/recruiter relevance.
+12. Distribute JD-aligned technologies logically across roles.
+- Assign primary/core technologies from the JD to the most recent or relevant positions.
+- Assign secondary or supporting technologies to earlier roles.
+- Ensure all key JD technologies appear at least once across the resume.
+
+13. Ensure natural tone and realism. Only include technologies or responsibilities that the candidate could reasonably have used, based on their career path or industry.
+14. The final resume should read as cohesive, naturally written, and contextually plausible—not artificially optimized.
+15. Maintain all original section headers and formatting. Do not include commentary or extra text outside the resume.
+16. STYLE CONSTRAINTS:
+- No em dashes (—). Use plain connectors (commas, semicolons, "and") or simple hyphens when necessary.
+- Use concise storytelling bullets (challenge - action - result) rather than task lists.
+- Prefer non-rounded percentages when plausible (e.g., 33%, 47%, 92%) to convey precision.
+- Prioritize impact, metrics, and results over generic responsibilities in every bullet.
+
+17. BOLD FORMATTING (**double asterisks**):
+
+BOLD ONLY THESE:
+- Technical terms in Summary text and Work Experience bullets (languages, frameworks, tools, databases, cloud services)
+- ONLY the category/group label in Skills section (the word before the colon, including the colon)
+NEVER BOLD:
+- Section headers (Summary, Skills, Work Experience, Education)
+- Job titles, company names, dates, or any part of role lines
+- ANY individual skills listed after the colon in Skills section - NEVER bold these, they must be plain text
+- Education details (degrees, universities, years)
+
+SKILLS SECTION BOLD RULE (CRITICAL):
+In the Skills section, ONLY bold the category name before the colon. The skills themselves after the colon must NEVER be bold.
+✓ CORRECT: • Languages: JavaScript, TypeScript, Python, SQL, HTML5, CSS3
+✗ WRONG: • **Languages:** **JavaScript**, **TypeScript**, **Python**
+✗ WRONG: • Languages: **JavaScript**, **TypeScript**, **Python**
+
+EXAMPLES:
+✓ Summary: ...expertise in **React**, **Node.js**, and **AWS**...
+✓ Software Engineer at RTA: Jul 2024 - Present (no bold anywhere)
+✓ • Built APIs using **FastAPI** and **PostgreSQL**
+✓ • **Languages:** JavaScript, TypeScript, Python
+✓ • **Frontend:** React, Next.js, Vue.js, Tailwind CSS
+✗ **Summary:** / **AI/ML Engineer** / **Languages:** **JavaScript**, **Python**
+
+Rule: Each **bold** must start and end on the same line. When in doubt, don't bold.
+
+${libraryRule}Here is the base resume:
+
+\${baseResume}
+
+Here is the target job description:
+
+\${jobDescription}
+
+ANTI-DETECTION / HUMANIZATION RULES:
+
+- Vary phrasing styles slightly between sections (avoid repeating identical phrases like "Worked on" or "Responsible for").
+- Introduce occasional stylistic imperfections (e.g., omitting articles naturally, slight tense mix in long experiences).
+- Maintain ${tone}.
+- Include subtle domain context or role-specific anecdotes (e.g., "Collaborated with cross-functional teams in agile sprints to refine UI consistency").
+- Ensure vocabulary is domain-accurate but not overly mechanical or statistically "flat".
+- Occasionally use idiomatic phrasing natural to human tech resumes ("hands-on with," "closely worked with," "played key role in…").
+
+Before outputting, perform a final pass to:
+
+- Smooth transitions between bullets within each job.
+- Reduce redundancy across jobs (avoid repeating identical achievements).
+- Re-evaluate flow to ensure the document reads naturally aloud.
+- Guarantee every section has both high ATS keyword density and human readability balance.
+
+YEARS OF EXPERIENCE IN SUMMARY: If the candidate has more than 10 years of experience, in the Summary refer to it ONLY as "more than 10 years" or "over 10 years". Never use the exact number (e.g. do not write 12+, 13+, 14+, 15+ years).
+
+${
+  known.headline
+    ? `SUMMARY OPENING: The Summary must always begin with "${known.headline}" (e.g. "${known.headline} with X years..." or "${known.headline} with more than 10 years...").`
+    : `SUMMARY OPENING: The Summary must always begin with the same job title you return in "title" (e.g. "<title> with X years..." or "<title> with more than 10 years...").`
+}${seniorityLabel ? "" : " Do not inflate seniority beyond what the base resume supports."}
+
+SUMMARY LENGTH: The Summary must be between ${summaryLength.minLetters} and ${summaryLength.maxLetters} letters. This is a hard requirement. Write a substantial, dense paragraph (or multiple paragraphs) that covers experience, key skills, technologies, achievements, and JD alignment—never fewer than ${summaryLength.floorLetters} letters.
+
+OUTPUT: Return the improved resume as a single JSON object only (no other text, no markdown). Use this exact structure. Preserve all company names, job titles, and dates from the base resume. Use **bold** for technical terms in summary and in experience details as per your bold rules. Order experience by date (most recent first). Include ${min}–${max} bullets per role in details. If you added a Cascade Investment role, include it in experience with its company, title, dates, and details.
+
+{"title":"<exact job title from JD only, no company>","summary":"<**bold** for tech terms; if 10+ years exp use only 'more than 10 years'>","skills":[{"category":"<CategoryName>","items":["skill1","skill2",...]},...],"experience":[{"title":"<job title>","company":"<company name>","location":"<location or empty string>","start_date":"<start>","end_date":"<end>","details":["<bullet with **bold**>",...]}]}`;
+
+  const buildPrompt = (bullets) =>
+    resumePromptTemplate(bullets)
+      .replace(/\$\{baseResume\}/g, baseResume)
+      .replace(/\$\{jobDescription\}/g, jd);
+  const prompt = buildPrompt(preset.bullets);
+
+  const report = (stage, data) => onProgress?.(stage, data);
+
+  // Calls only stream when someone is listening; token progress is reported every TOKEN_PROGRESS_CHARS characters
+  const modelCall = async (attempt, input, options = {}) => {
+    report("model", { attempt, preset: `${preset.id}@${preset.version}` });
+    let chars = 0;
+    let reported = 0;
+    const onToken = (delta) => {
+      chars += delta.length;
+      if (chars - reported >= TOKEN_PROGRESS_CHARS) {
+        reported = chars;
+        report("tokens", { attempt, chars });
+      }
+    };
+    const response = await callLLM(input, {
+      ...options,
+      responseFormat: RESUME_RESPONSE_FORMAT,
+      signal,
+      onToken: onProgress ? onToken : null,
+    });
+    report("tokens", { attempt, chars, done: true });
+    return response;
+  };
+
+  const aiResponse = await modelCall("initial", prompt);
+  const responses = [aiResponse];
+  let conversation = [{ role: "user", content: prompt }];
+  let finalResponse = aiResponse;
+
+  const finishReason = aiResponse.choices?.[0]?.finish_reason;
+
+  console.log("LLM Response Metadata:");
+  console.log("- Model:", aiResponse.model);
+  console.log("- Finish reason:", finishReason);
+  console.log("- Input tokens:", aiResponse.usage?.prompt_tokens);
+  console.log("- Output tokens:", aiResponse.usage?.completion_tokens);
+
+  if (finishReason === "length") {
+    console.error("⚠️ WARNING: Model hit max_tokens limit! Response was truncated.");
+    console.log("🔄 Retrying with reduced requirements to fit in token limit...");
+
+    const concisePrompt = buildPrompt({ min: preset.bullets.retryMin, max: preset.bullets.retryMax });
+
+    const retryResponse = await modelCall("retry", concisePrompt, { maxTokens: 10000 });
+    responses.push(retryResponse);
+    conversation = [{ role: "user", content: concisePrompt }];
+    finalResponse = retryResponse;
+    console.log("Retry Response Metadata:");
+    console.log("- Finish reason:", retryResponse.choices?.[0]?.finish_reason);
+    console.log("- Output tokens:", retryResponse.usage?.completion_tokens);
+  }
+
+  let content = (finalResponse.choices?.[0]?.message?.content ?? "").trim();
+
+  // Check if AI is refusing (structured outputs report it separately) or apologizing instead of returning JSON
+  const refusal = finalResponse.choices?.[0]?.message?.refusal;
+  if (refusal ||
+      content.toLowerCase().startsWith("i'm sorry") || 
+      content.toLowerCase().startsWith("i cannot") || 
+      content.toLowerCase().startsWith("i apologize")) {
+    console.error("AI is apologizing instead of returning JSON:", (refusal || content).substring(0, 200));
+    throw new Error("AI refused to generate resume. The prompt may be too complex. Please try again with a shorter job description or simpler requirements.");
+  }
+
+  // Tolerant parse + schema check; on violations ask the model to fix exactly what is wrong
+  let { data, errors } = readResumeResponse(content);
+  let repairs = 0;
+  report("parsed", { errors: errors.length, repairs });
+  while (errors.length && repairs < MAX_REPAIR_ATTEMPTS) {
+    repairs++;
+    console.warn(`AI response failed the schema (${errors.length} problem(s)); repair attempt ${repairs}:`, errors.slice(0, 5));
+    conversation = [
+      ...conversation,
+      { role: "assistant", content },
+      { role: "user", content: buildRepairMessage(errors) },
+    ];
+    const repairResponse = await modelCall("repair", conversation, { maxTokens: 10000 });
+    responses.push(repairResponse);
+    finalResponse = repairResponse;
+    content = (repairResponse.choices?.[0]?.message?.content ?? "").trim();
+    ({ data, errors } = readResumeResponse(content));
+    report("parsed", { errors: errors.length, repairs });
+  }
+
+  if (errors.length) {
+    console.error("AI response still invalid after repair:", errors);
+    const detail = errors.slice(0, 5).map((e) => `${e.path || "(root)"} ${e.message}`).join("; ");
+    throw Object.assign(new Error(`AI response did not match the resume format: ${detail}. Please try again.`), { status: 502 });
+  }
+
+  const resumeContent = { ...data, skills: skillsToMap(data.skills) };
+
+  // Title: display only the job title, not "Title at Company"
+  if (typeof resumeContent.title === "string" && resumeContent.title.includes(" at ")) {
+    resumeContent.title = resumeContent.title.replace(/\s+at\s+.*$/i, "").trim();
+  }
+
+  // Summary: if experience > 10 years, show only "more than 10 years", never exact number (12+, 13+, etc.)
+  if (yearsOfExperience > 10 && typeof resumeContent.summary === "string") {
+    resumeContent.summary = resumeContent.summary.replace(/\b(1[2-9]|[2-9]\d|\d{3})\s*\+\s*years?\b/gi, "more than 10 years");
+    resumeContent.summary = resumeContent.summary.replace(/\b(1[2-9]|[2-9]\d|\d{3})\s*years?\b/gi, "more than 10 years");
+  }
+
+  // Headline: override, then profile title, then the JD title; the summary opens with whichever wins
+  const { headline, source: headlineSource } = resolveHeadline({
+    override: headlineOverride,
+    profileTitle: profileData.title,
+    jdTitle: resumeContent.title,
+    jobTitle,
+    fallback: seniorityLabel,
+  });
+  resumeContent.summary = applyHeadlineToSummary(resumeContent.summary, headline, [resumeContent.title, seniorityLabel]);
+  resumeContent.title = headline;
+
+  // "[1.2] " / "[new] " prefixes become experience[].sources, aligned with details (null: no source)
+  if (library && Array.isArray(resumeContent.experience)) {
+    resumeContent.experience.forEach((exp) => {
+      if (!Array.isArray(exp.details)) return;
+      const read = exp.details.map((detail) => readBulletSource(detail, library));
+      exp.details = read.map((r) => r.text);
+      exp.sources = read.map((r) => r.source);
+    });
+    const sources = resumeContent.experience.flatMap((exp) => exp.sources || []);
+    console.log(`Bullet sources: ${sources.filter(Boolean).length} from the library, ${sources.filter((s) => !s).length} without a source`);
+  }
+
+  // Convert **bold** to <strong> for HTML template
+  resumeContent.summary = boldToStrong(resumeContent.summary);
+  if (Array.isArray(resumeContent.experience)) {
+    resumeContent.experience.forEach((exp) => {
+      if (Array.isArray(exp.details)) exp.details = exp.details.map(boldToStrong);
+    });
+  }
+
+  // Skills section: remove ** and a trailing colon from category names (e.g. "**Languages:**" -> "Languages")
+  if (resumeContent.skills && typeof resumeContent.skills === "object") {
+    const skillsClean = {};
+    for (const [key, value] of Object.entries(resumeContent.skills)) {
+      const cleanKey = typeof key === "string" ? key.replace(/\*/g, "").trim().replace(/:$/, "").trim() : key;
+      skillsClean[cleanKey || key] = value;
+    }
+    resumeContent.skills = skillsClean;
+  }
+
+  // The model is told to stay within the inventory; anything else it listed is dropped here
+  let droppedSkills = [];
+  if (inventoryOnly) {
+    ({ skills: resumeContent.skills, dropped: droppedSkills } = constrainSkills(resumeContent.skills, profileData.skills));
+    if (droppedSkills.length) console.warn(`Dropped ${droppedSkills.length} skill(s) not in the inventory:`, droppedSkills);
+  }
+
+  console.log("✅ AI content generated successfully");
+  console.log("Skills categories:", Object.keys(resumeContent.skills).length);
+  console.log("Experience entries:", resumeContent.experience.length);
+  
+  // Debug: Check if experience has details
+  resumeContent.experience.forEach((exp, idx) => {
+    console.log(`Experience ${idx + 1}: ${exp.title || 'NO TITLE'} - Details count: ${exp.details?.length || 0}`);
+    if (!exp.details || exp.details.length === 0) {
+      console.error(`⚠️ WARNING: Experience entry ${idx + 1} has NO DETAILS!`);
+    }
+  });
+
+  // Token usage covers the truncated first call and any repair requests as well
+  const sumTokens = (key) => responses.reduce((sum, r) => sum + (r.usage?.[key] || 0), 0);
+
+  return {
+    resumeContent,
+    yearsOfExperience,
+    meta: {
+      model: finalResponse.model,
+      usage: { prompt_tokens: sumTokens("prompt_tokens"), completion_tokens: sumTokens("completion_tokens") },
+      retried: finishReason === "length",
+      repairs,
+      preset: `${preset.id}@${preset.version}`,
+      headlineSource,
+      skillsMode,
+      droppedSkills,
+    },
+  };
+}
@@ -0,0 +1,14 @@
+import templateDataSchema from "./schemas/template-data.schema.json";
+import { compileSchema, formatSchemaError } from "./schema-errors";
+
+// Shape check for resume data rendered without the model (/api/render): hand-edited or archived
+// `templateData` must have what the templates read, with the types they expect.
+
+const validateSchema = compileSchema(templateDataSchema);
+
+// [{ path, message }]; empty when the data can be rendered
+export function validateTemplateData(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) return [{ path: "", message: "must be an object" }];
+  if (validateSchema(data)) return [];
+  return validateSchema.errors.map(formatSchemaError);
+}
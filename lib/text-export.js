@@ -0,0 +1,134 @@
+import { formatDateRange } from "./dates";
+import { decodeEntities } from "./markup";
+
+// Plain-text and Markdown renderings of templateData for pasting into application forms.
+// Both use the same section order (header, summary, skills, experience, education) and labels regardless
+// of template, "-" bullets, and never leave HTML tags or stray asterisks behind.
+// No Node imports: this module is shared with the browser (copy to clipboard in index.js).
+
+const SECTIONS = { summary: "Summary", skills: "Skills", experience: "Experience", education: "Education" };
+
+// Asterisks the model meant as emphasis but that never became <strong> ("**Go" or "*Go*");
+// a lone one inside a word or number ("2*3") is left alone
+const stripAsterisks = (s) =>
+  s.replace(/\*{2,}/g, "").replace(/(^|[\s(])\*+(?=\S)/g, "$1").replace(/(\S)\*+(?=$|[\s.,;:!?)])/g, "$1");
+const squash = (s) => s.replace(/\s+/g, " ").trim();
+
+// "Built <strong>APIs</strong> for <a href="https://x.io">X</a>" -> "Built APIs for X (https://x.io)"
+export function htmlToPlainText(html) {
+  const text = String(html ?? "")
+    .replace(/<a\b[^>]*href\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi, (m, href, label) =>
+      label.replace(/<[^>]+>/g, "").trim() === href ? href : `${label} (${href})`
+    )
+    .replace(/<[^>]+>/g, "");
+  return squash(stripAsterisks(decodeEntities(text)));
+}
+
+// Markdown-significant characters in text that is not markup
+const escapeMarkdown = (s) => s.replace(/([\\`*_[\]<>])/g, "\\$1");
+
+// "Built <strong>APIs</strong>" -> "Built **APIs**"; links become [label](href)
+export function htmlToMarkdownText(html) {
+  const parts = [];
+  const tagRe = /<(\/?)([a-z][a-z0-9]*)\b([^>]*)>/gi;
+  // "**" only works hugging the text: move edge whitespace out of <strong> and drop empty ones
+  const source = String(html ?? "")
+    .replace(/<(strong|b)>(\s*)([\s\S]*?)(\s*)<\/\1>/gi, (m, tag, before, inner, after) => (inner ? `${before}<${tag}>${inner}</${tag}>${after}` : before + after));
+  let last = 0;
+  let href = null;
+  let match;
+  const text = (s) => escapeMarkdown(stripAsterisks(decodeEntities(s)));
+  while ((match = tagRe.exec(source))) {
+    parts.push(text(source.slice(last, match.index)));
+    last = tagRe.lastIndex;
+    const [, closing, tag, attrs] = match;
+    const name = tag.toLowerCase();
+    if (name === "strong" || name === "b") parts.push("**");
+    else if (name === "em" || name === "i") parts.push("_");
+    else if (name === "a" && !closing) {
+      href = /href\s*=\s*["']([^"']+)["']/i.exec(attrs)?.[1] || null;
+      if (href) parts.push("[");
+    } else if (name === "a" && href) {
+      parts.push(`](${href})`);
+      href = null;
+    }
+  }
+  parts.push(text(source.slice(last)));
+  return squash(parts.join(""));
+}
+
+const contactItems = (data) => [data.email, data.phone, data.location, data.linkedin, data.website].filter(Boolean);
+const skillEntries = (data) => Object.entries(data.skills || {}).filter(([, items]) => Array.isArray(items) && items.length);
+const educationYears = (edu) => [edu.start_year, edu.end_year].filter(Boolean).join(" – ");
+
+export function renderPlainText(data) {
+  const lines = [squash(data.name || "").toUpperCase()];
+  if (data.title) lines.push(htmlToPlainText(data.title));
+  if (contactItems(data).length) lines.push(contactItems(data).join(" | "));
+
+  const section = (label) => lines.push("", label.toUpperCase());
+  if (data.summary) {
+    section(SECTIONS.summary);
+    lines.push(htmlToPlainText(data.summary));
+  }
+  if (skillEntries(data).length) {
+    section(SECTIONS.skills);
+    for (const [category, items] of skillEntries(data)) lines.push(`${category}: ${items.map(htmlToPlainText).join(", ")}`);
+  }
+  if (data.experience?.length) {
+    section(SECTIONS.experience);
+    data.experience.forEach((exp, idx) => {
+      if (idx) lines.push("");
+      const where = [exp.company, exp.location].filter(Boolean).join(", ");
+      lines.push([exp.title, where, formatDateRange(exp.start_date, exp.end_date)].filter(Boolean).join(" | "));
+      for (const bullet of exp.details || []) lines.push(`- ${htmlToPlainText(bullet)}`);
+    });
+  }
+  if (data.education?.length) {
+    section(SECTIONS.education);
+    for (const edu of data.education) {
+      lines.push([[edu.degree, edu.school].filter(Boolean).join(", "), educationYears(edu), edu.grade && `GPA: ${edu.grade}`].filter(Boolean).join(" | "));
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+export function renderMarkdown(data) {
+  const lines = [`# ${escapeMarkdown(squash(data.name || ""))}`];
+  const header = [data.title && `**${htmlToPlainText(data.title)}**`, contactItems(data).map(escapeMarkdown).join(" · ")].filter(Boolean);
+  if (header.length) lines.push("", header.join("  \n"));
+
+  const section = (label) => lines.push("", `## ${label}`, "");
+  if (data.summary) {
+    section(SECTIONS.summary);
+    lines.push(htmlToMarkdownText(data.summary));
+  }
+  if (skillEntries(data).length) {
+    section(SECTIONS.skills);
+    for (const [category, items] of skillEntries(data)) {
+      lines.push(`- **${escapeMarkdown(category)}:** ${items.map(htmlToMarkdownText).join(", ")}`);
+    }
+  }
+  if (data.experience?.length) {
+    section(SECTIONS.experience);
+    data.experience.forEach((exp, idx) => {
+      if (idx) lines.push("");
+      const where = [exp.company, exp.location].filter(Boolean).map(escapeMarkdown).join(", ");
+      lines.push(`### ${[escapeMarkdown(exp.title || ""), where].filter(Boolean).join(" — ")}`, "");
+      const dates = formatDateRange(exp.start_date, exp.end_date);
+      if (dates) lines.push(`_${dates}_`, "");
+      for (const bullet of exp.details || []) lines.push(`- ${htmlToMarkdownText(bullet)}`);
+    });
+  }
+  if (data.education?.length) {
+    section(SECTIONS.education);
+    for (const edu of data.education) {
+      const years = educationYears(edu);
+      lines.push(
+        `- **${escapeMarkdown(edu.degree || "")}**${edu.school ? `, ${escapeMarkdown(edu.school)}` : ""}` +
+          `${years ? ` (${years})` : ""}${edu.grade ? `, GPA: ${escapeMarkdown(String(edu.grade))}` : ""}`
+      );
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
@@ -0,0 +1,147 @@
+// Lenient JSON reader for model output. Reads the first JSON object in the text and ignores anything around it
+// (prose, ``` fences). It also copes with the usual model mistakes without regex rewriting:
+//   - trailing commas
+//   - raw newlines/tabs and unescaped quotes inside strings (a quote only closes a string when
+//     the next non-space character is , : } ] or the end of input)
+//   - a prefix cut off mid-stream: open strings, arrays and objects are closed, `truncated` is set
+// Returns { value, truncated }; throws a SyntaxError when there is no object to read.
+
+const WS = /\s/;
+const NUMBER_RE = /^-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/;
+const CLOSERS = new Set([",", ":", "}", "]"]);
+const ESCAPES = { '"': '"', "\\": "\\", "/": "/", b: "\b", f: "\f", n: "\n", r: "\r", t: "\t" };
+
+export function parseTolerantJson(text) {
+  const src = String(text ?? "");
+  let i = src.indexOf("{");
+  if (i === -1) throw new SyntaxError("No JSON object found");
+  let truncated = false;
+
+  const skipWs = () => {
+    while (i < src.length && WS.test(src[i])) i++;
+  };
+
+  const fail = (message) => {
+    throw new SyntaxError(`${message} at position ${i}`);
+  };
+
+  function parseString() {
+    i++; // opening quote
+    let out = "";
+    while (i < src.length) {
+      const ch = src[i];
+      if (ch === "\\") {
+        const next = src[i + 1];
+        if (next === undefined) {
+          i++;
+          break;
+        }
+        if (next === "u") {
+          const hex = src.slice(i + 2, i + 6);
+          if (/^[0-9a-fA-F]{4}$/.test(hex)) {
+            out += String.fromCharCode(parseInt(hex, 16));
+            i += 6;
+            continue;
+          }
+        }
+        out += ESCAPES[next] ?? next;
+        i += 2;
+        continue;
+      }
+      if (ch === '"') {
+        let j = i + 1;
+        while (j < src.length && WS.test(src[j])) j++;
+        if (j >= src.length || CLOSERS.has(src[j])) {
+          i++;
+          return out;
+        }
+        // Quote inside the text, e.g. "led the "Atlas" migration"
+        out += ch;
+        i++;
+        continue;
+      }
+      out += ch;
+      i++;
+    }
+    truncated = true;
+    return out;
+  }
+
+  function parseLiteral() {
+    const rest = src.slice(i);
+    for (const [word, value] of [["true", true], ["false", false], ["null", null]]) {
+      if (rest.startsWith(word)) {
+        i += word.length;
+        return value;
+      }
+      // Cut off mid-literal
+      if (rest.length < word.length && word.startsWith(rest)) {
+        i = src.length;
+        truncated = true;
+        return value;
+      }
+    }
+    const number = NUMBER_RE.exec(rest);
+    if (number) {
+      i += number[0].length;
+      return Number(number[0]);
+    }
+    return fail(`Unexpected character "${src[i]}"`);
+  }
+
+  function parseContainer(open, close, readMember) {
+    const isArray = open === "[";
+    const result = isArray ? [] : {};
+    i++; // opening bracket
+    for (;;) {
+      skipWs();
+      while (src[i] === ",") {
+        i++;
+        skipWs();
+      }
+      if (i >= src.length) {
+        truncated = true;
+        return result;
+      }
+      if (src[i] === close) {
+        i++;
+        return result;
+      }
+      // A mismatched closer ends this container and is left for the parent
+      if (src[i] === "}" || src[i] === "]") {
+        return result;
+      }
+      readMember(result);
+    }
+  }
+
+  function parseValue() {
+    skipWs();
+    if (i >= src.length) {
+      truncated = true;
+      return undefined;
+    }
+    const ch = src[i];
+    if (ch === "{") {
+      return parseContainer("{", "}", (obj) => {
+        if (src[i] !== '"') fail("Expected a quoted key");
+        const key = parseString();
+        skipWs();
+        if (src[i] === ":") i++;
+        const value = parseValue();
+        if (value !== undefined) obj[key] = value;
+      });
+    }
+    if (ch === "[") {
+      return parseContainer("[", "]", (arr) => {
+        const value = parseValue();
+        if (value !== undefined) arr.push(value);
+      });
+    }
+    if (ch === '"') return parseString();
+    return parseLiteral();
+  }
+
+  const value = parseValue();
+  return { value, truncated };
+}
@@ -0,0 +1,134 @@
+import profileSchema from "./schemas/profile.schema.json";
+import { parseDate, analyzeExperience } from "./dates";
+import { skillKey } from "./skill-inventory";
+import { sourceBulletId } from "./bullet-library";
+import { compileSchema, formatSchemaError } from "./schema-errors";
+
+const validateSchema = compileSchema(profileSchema);
+
+const DATE_MESSAGE = "is not a recognised date/year format";
+
+function schemaErrors() {
+  const errors = [];
+  const seen = new Set();
+  for (const err of validateSchema.errors || []) {
+    // anyOf reports every failed branch; the parent "anyOf" error is enough
+    if (err.schemaPath.includes("/anyOf/")) continue;
+
+    let { path, message } = formatSchemaError(err);
+    if (err.keyword === "pattern" && path.endsWith(".id")) {
+      message = 'may only contain letters, digits, ".", "_" and "-"';
+    } else if (err.keyword === "pattern" || err.keyword === "anyOf") {
+      message = path.endsWith("email") ? "is not a valid email address" : DATE_MESSAGE;
+    } else if (err.keyword === "minLength") {
+      message = "must not be empty";
+    } else if (err.keyword === "minItems") {
+      message = `must have at least ${err.params.limit} entry`;
+    } else if (err.keyword === "enum") {
+      message = `must be one of ${err.params.allowedValues.join(", ")}`;
+    }
+
+    const key = `${path}:${message}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    errors.push({ path, message });
+  }
+  return errors;
+}
+
+// Experience dates lib/dates.js cannot read ("13/2020", "Janx 2020") can still match the schema's pattern;
+// they would render as blank date ranges, so they are errors too
+function dateErrors(data) {
+  const errors = [];
+  const experience = Array.isArray(data?.experience) ? data.experience : [];
+  experience.forEach((job, idx) => {
+    if (!job || typeof job !== "object") return;
+    for (const key of ["start_date", "end_date"]) {
+      if (typeof job[key] === "string" && !parseDate(job[key])) errors.push({ path: `experience[${idx}].${key}`, message: DATE_MESSAGE });
+    }
+  });
+  return errors;
+}
+
+// Quality checks that do not make a profile unusable but degrade the output
+function profileWarnings(data) {
+  const warnings = [];
+  if (!data || typeof data !== "object") return warnings;
+
+  if (!data.email) warnings.push({ path: "email", message: "is missing" });
+  if (!data.phone) warnings.push({ path: "phone", message: "is missing" });
+  if (!data.location) warnings.push({ path: "location", message: "is missing" });
+
+  const experience = Array.isArray(data.experience) ? data.experience : [];
+  // Tailored bullets cite library bullets by id, so an id must point at exactly one bullet
+  const bulletIds = new Map();
+  experience.forEach((job, idx) => {
+    if (!job || typeof job !== "object") return;
+    if (!job.title) warnings.push({ path: `experience[${idx}].title`, message: "is missing; the AI will invent one" });
+
+    (Array.isArray(job.bullets) ? job.bullets : []).forEach((bullet, bulletIdx) => {
+      if (!bullet || typeof bullet !== "object") return;
+      const id = sourceBulletId(bullet, idx, bulletIdx);
+      const path = `experience[${idx}].bullets[${bulletIdx}]`;
+      if (bulletIds.has(id)) warnings.push({ path, message: `has the same id "${id}" as ${bulletIds.get(id)}` });
+      else bulletIds.set(id, path);
+    });
+
+    for (const key of ["start_date", "end_date"]) {
+      if (parseDate(job[key])?.precision === "year") {
+        warnings.push({ path: `experience[${idx}].${key}`, message: `"${job[key]}" has no month` });
+      }
+    }
+  });
+
+  const timeline = analyzeExperience(experience);
+  // Unrecognised dates are errors (schemaErrors/dateErrors)
+  for (const { index, reason } of timeline.invalid.filter((i) => i.kind === "reversed")) {
+    warnings.push({ path: `experience[${index}]`, message: `${reason}; not counted towards years of experience` });
+  }
+  for (const gap of timeline.gaps) {
+    warnings.push({ path: "experience", message: `has a ${gap.months}-month gap (${gap.from} – ${gap.to})` });
+  }
+  for (const { a, b, months } of timeline.overlaps) {
+    warnings.push({ path: `experience[${b}]`, message: `overlaps experience[${a}] by ${months} months` });
+  }
+
+  (Array.isArray(data.education) ? data.education : []).forEach((edu, idx) => {
+    if (edu && typeof edu === "object" && !edu.end_year) {
+      warnings.push({ path: `education[${idx}].end_year`, message: "is missing" });
+    }
+  });
+
+  // Synonyms count as duplicates ("Postgres" and "PostgreSQL")
+  const seenSkills = new Map();
+  const thisYear = new Date().getFullYear();
+  (Array.isArray(data.skills) ? data.skills : []).forEach((skill, idx) => {
+    if (!skill || typeof skill !== "object" || !skill.name) return;
+    const key = skillKey(skill.name);
+    if (seenSkills.has(key)) {
+      warnings.push({ path: `skills[${idx}]`, message: `repeats skills[${seenSkills.get(key)}] ("${skill.name}")` });
+    } else {
+      seenSkills.set(key, idx);
+    }
+    if (Number(skill.last_used) > thisYear) {
+      warnings.push({ path: `skills[${idx}].last_used`, message: `"${skill.last_used}" is in the future` });
+    }
+  });
+
+  return warnings;
+}
+
+// Validate a parsed profile against lib/schemas/profile.schema.json
+// Returns { valid, errors: [{ path, message }], warnings: [{ path, message }] }
+export function validateProfile(data) {
+  const errors = validateSchema(data) ? [] : schemaErrors();
+  const reported = new Set(errors.map((e) => e.path));
+  errors.push(...dateErrors(data).filter((e) => !reported.has(e.path)));
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings: profileWarnings(data),
+  };
+}
+
+export const formatIssue = (issue) => (issue.path ? `${issue.path} ${issue.message}` : issue.message);
@@ -1,6 +1,10 @@
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   transpilePackages: ['openai'],
+  experimental: {
+    // instrumentation.js recovers unfinished generation jobs on startup
+    instrumentationHook: true,
+  },
 };
 
 module.exports = nextConfig;
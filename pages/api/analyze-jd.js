@@ -0,0 +1,35 @@
+import { hasLLMProvider, isAbortError } from "../../lib/llm";
+import { analyzeJdText, analyzeJdWithAI } from "../../lib/jd-analyzer";
+
+// POST /api/analyze-jd { jd, llm }
+// -> { analysis: { title, company, seniority, requiredSkills, niceToHaveSkills, industry, location,
+//      workMode, yearsRequired }, source: "dictionary" | "model", warning? }
+// The dictionary pass is free and always runs; `llm: true` adds a model pass when a provider is configured
+// (without one, or when the model fails, the dictionary result comes back with a `warning`).
+export default async function handler(req, res) {
+  if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
+
+  const { jd, llm } = req.body || {};
+  if (!jd || typeof jd !== "string" || !jd.trim()) return res.status(400).json({ error: "Job description required" });
+
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  let warning;
+  if (llm && !hasLLMProvider()) {
+    warning = "No model provider configured; showing the dictionary analysis";
+  } else if (llm) {
+    try {
+      const analysis = await analyzeJdWithAI(jd, { signal: controller.signal });
+      return res.status(200).json({ analysis, source: "model" });
+    } catch (err) {
+      if (isAbortError(err)) return console.log("JD analysis cancelled: client disconnected");
+      console.error("AI JD analysis failed, falling back to the dictionary:", err.message);
+      warning = `Model analysis failed (${err.message}); showing the dictionary analysis`;
+    }
+  }
+
+  res.status(200).json({ analysis: analyzeJdText(jd), source: "dictionary", ...(warning && { warning }) });
+}
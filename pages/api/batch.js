@@ -0,0 +1,37 @@
+import { parseBatchInput, normalizeRows, runBatch } from "../../lib/batch";
+
+// JD lists get large
+export const config = {
+  api: { bodyParser: { sizeLimit: "5mb" } },
+};
+
+// POST /api/batch { rows: [...] | csv: "...", defaults: { profile, jd, template, ... }, strict }
+// -> ZIP of PDFs plus manifest.json / manifest.csv; the summary is repeated in X-Batch-* headers
+export default async function handler(req, res) {
+  if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
+
+  // A client that goes away cancels the rows still running
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  try {
+    const rows = normalizeRows(parseBatchInput(req.body), req.body.defaults);
+    console.log(`Batch: ${rows.length} row(s)`);
+    const { zip, manifest } = await runBatch(rows, { signal: controller.signal, strict: Boolean(req.body.strict) });
+    if (controller.signal.aborted) return console.log("Batch cancelled: client disconnected");
+
+    const stamp = manifest.createdAt.replace(/[:.]/g, "-");
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader("Content-Disposition", `attachment; filename="resumes_${stamp}.zip"`);
+    res.setHeader("X-Batch-Total", manifest.total);
+    res.setHeader("X-Batch-Succeeded", manifest.succeeded);
+    res.setHeader("X-Batch-Failed", manifest.failed);
+    res.end(zip);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error("Batch error:", error);
+    res.status(500).json({ error: "Batch failed: " + error.message });
+  }
+}
@@ -0,0 +1,52 @@
+import { runCoverLetter, renderCoverLetter, coverLetterFileName, LETTER_LENGTHS, LETTER_TONES, DEFAULT_LETTER_LENGTH, DEFAULT_LETTER_TONE } from "../../lib/cover-letter";
+import { isAbortError } from "../../lib/llm";
+import { DOCX_MIME } from "../../lib/docx";
+
+const OUTPUTS = ["json", "pdf", "docx"];
+
+// GET: the length and tone options. POST: write a letter from { profile, jd, ... } (lib/cover-letter.js),
+// or re-render edited letter `content` without a model call
+export default async function handler(req, res) {
+  if (req.method === "GET") {
+    const options = (map) => Object.entries(map).map(([id, { label }]) => ({ id, label }));
+    return res.status(200).json({
+      lengths: options(LETTER_LENGTHS),
+      tones: options(LETTER_TONES),
+      defaults: { length: DEFAULT_LETTER_LENGTH, tone: DEFAULT_LETTER_TONE },
+    });
+  }
+  if (req.method !== "POST") return res.status(405).send("Method not allowed");
+
+  // A client that goes away cancels the upstream model request
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  try {
+    const output = OUTPUTS.includes(req.body.output) ? req.body.output : "pdf";
+    const { pdfBuffer, docxBuffer, ...result } = req.body.content
+      ? {
+          content: req.body.content,
+          fileName: coverLetterFileName(req.body.content),
+          ...(await renderCoverLetter(req.body.content, { template: req.body.template, output, paper: req.body.paper })),
+        }
+      : await runCoverLetter({ ...req.body, output }, { signal: controller.signal });
+
+    if (output === "json") return res.status(200).json(result);
+
+    if (output === "docx") {
+      res.setHeader("Content-Type", DOCX_MIME);
+      res.setHeader("Content-Disposition", `attachment; filename="${result.fileName}.docx"`);
+      return res.end(docxBuffer);
+    }
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${result.fileName}.pdf"`);
+    res.end(pdfBuffer);
+  } catch (err) {
+    if (isAbortError(err)) return console.log("Cover letter cancelled: client disconnected");
+    if (err.status) return res.status(err.status).send(err.message);
+    console.error("Cover letter error:", err);
+    res.status(500).send("Cover letter generation failed: " + err.message);
+  }
+}
@@ -0,0 +1,43 @@
+import { runGeneration } from "../../../lib/generate";
+import { isAbortError } from "../../../lib/llm";
+
+// Streaming variant of /api/generate (same body). Responds with Server-Sent Events, one per pipeline stage:
+//   profile, model, tokens, parsed, warnings, html, pdf (output "pdf" only)
+// then `result` (the /api/generate JSON payload, plus pdfUrl for PDF output) or `error` { status, message }.
+// Closing the connection aborts the upstream model request.
+export default async function handler(req, res) {
+  if (req.method !== "POST") return res.status(405).send("Method not allowed");
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // Keep compression and proxies from buffering the stream
+    "Content-Encoding": "none",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  try {
+    const output = req.body.output === "pdf" ? "pdf" : "json";
+    const { pdfBuffer, ...result } = await runGeneration(
+      { ...req.body, output },
+      { signal: controller.signal, onProgress: send }
+    );
+    send("result", pdfBuffer && result.runId ? { ...result, pdfUrl: `/api/history/${result.runId}/pdf` } : result);
+  } catch (err) {
+    if (isAbortError(err)) return console.log("Generation cancelled: client disconnected");
+    if (!err.status) console.error("PDF generation error:", err);
+    send("error", { status: err.status || 500, message: err.status ? err.message : "PDF generation failed: " + err.message });
+  }
+  res.end();
+}
@@ -0,0 +1,27 @@
+import { runExists, getRun } from "../../../../lib/history";
+import { resolvePaper } from "../../../../lib/render";
+import { renderDocx, DOCX_MIME } from "../../../../lib/docx";
+import { assertExportable } from "../../../../lib/grounding";
+
+// GET /api/history/:id/docx -> the run's saved content as a Word document, rendered on request on the
+// run's template and paper. Strict runs are held back the same way as /api/history/:id/pdf.
+export default async function handler(req, res) {
+  if (req.method !== "GET") return res.status(405).send("Method not allowed");
+
+  const { id } = req.query;
+  if (!runExists(id)) return res.status(404).send(`Run "${id}" not found`);
+
+  try {
+    const run = getRun(id);
+    if (run.strict) assertExportable(run.grounding, run.acceptedIssues);
+    const docxBuffer = await renderDocx(run.content, run.template, { paper: resolvePaper(run.paper) });
+
+    res.setHeader("Content-Type", DOCX_MIME);
+    res.setHeader("Content-Disposition", `attachment; filename="${run.fileName || id}.docx"`);
+    res.end(docxBuffer);
+  } catch (err) {
+    if (err.status) return res.status(err.status).send(err.message);
+    console.error(`Error rendering DOCX for run "${id}":`, err);
+    res.status(500).send("DOCX generation failed: " + err.message);
+  }
+}
@@ -0,0 +1,16 @@
+import { runExists, getRun } from "../../../../lib/history";
+
+// GET /api/history/:id -> full run including JD text and final content
+export default function handler(req, res) {
+  if (req.method !== "GET") return res.status(405).json({ error: "Method not allowed" });
+
+  const { id } = req.query;
+  if (!runExists(id)) return res.status(404).json({ error: `Run "${id}" not found` });
+
+  try {
+    res.status(200).json(getRun(id));
+  } catch (error) {
+    console.error(`Error reading run "${id}":`, error);
+    res.status(500).json({ error: "Failed to load run" });
+  }
+}
@@ -0,0 +1,32 @@
+import { runExists, getRun, readRunPdf, saveRunPdf } from "../../../../lib/history";
+import { resolvePaper } from "../../../../lib/render";
+import { renderFittedPdf } from "../../../../lib/fit";
+import { assertExportable } from "../../../../lib/grounding";
+
+// GET /api/history/:id/pdf -> the stored PDF, rendered from the saved content on first request if needed,
+// on the run's paper and page target (runs saved before those were stored get the defaults).
+// Runs generated or approved in strict mode are only handed out once every flagged claim is accepted.
+export default async function handler(req, res) {
+  if (req.method !== "GET") return res.status(405).send("Method not allowed");
+
+  const { id } = req.query;
+  if (!runExists(id)) return res.status(404).send(`Run "${id}" not found`);
+
+  try {
+    const run = getRun(id);
+    if (run.strict) assertExportable(run.grounding, run.acceptedIssues);
+    let pdfBuffer = readRunPdf(id);
+    if (!pdfBuffer) {
+      ({ pdf: pdfBuffer } = await renderFittedPdf(run.content, run.template, { paper: resolvePaper(run.paper), pages: run.pages ?? null }));
+      saveRunPdf(id, pdfBuffer);
+    }
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${run.fileName || id}.pdf"`);
+    res.end(pdfBuffer);
+  } catch (err) {
+    if (err.status) return res.status(err.status).send(err.message);
+    console.error(`Error rendering PDF for run "${id}":`, err);
+    res.status(500).send("PDF generation failed: " + err.message);
+  }
+}
@@ -0,0 +1,24 @@
+import { runExists, getRun } from "../../../lib/history";
+import { diffRuns } from "../../../lib/diff";
+
+// GET /api/history/diff?a=<id>&b=<id> -> section-by-section diff of two runs for the same profile
+export default function handler(req, res) {
+  if (req.method !== "GET") return res.status(405).json({ error: "Method not allowed" });
+
+  const { a, b } = req.query;
+  for (const id of [a, b]) {
+    if (!runExists(id)) return res.status(404).json({ error: `Run "${id}" not found` });
+  }
+
+  try {
+    const runA = getRun(a);
+    const runB = getRun(b);
+    if (runA.profile !== runB.profile) {
+      return res.status(400).json({ error: "Only runs for the same profile can be compared" });
+    }
+    res.status(200).json(diffRuns(runA, runB));
+  } catch (error) {
+    console.error("Error diffing runs:", error);
+    res.status(500).json({ error: "Failed to diff runs" });
+  }
+}
@@ -0,0 +1,14 @@
+import { listRuns } from "../../../lib/history";
+
+// GET /api/history?q=&profile= -> saved generation runs, newest first (without content/JD bodies)
+export default function handler(req, res) {
+  if (req.method !== "GET") return res.status(405).json({ error: "Method not allowed" });
+
+  try {
+    const { q, profile } = req.query;
+    res.status(200).json(listRuns({ q, profile }));
+  } catch (error) {
+    console.error("Error reading history:", error);
+    res.status(500).json({ error: "Failed to load history" });
+  }
+}
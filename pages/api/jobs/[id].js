@@ -0,0 +1,17 @@
+import { recoverJobs, jobExists, getJob, jobStatus } from "../../../lib/jobs";
+
+// GET /api/jobs/:id -> { id, status: queued|running|done|failed, stage, attempts, result?, error? }
+export default function handler(req, res) {
+  if (req.method !== "GET") return res.status(405).json({ error: "Method not allowed" });
+
+  recoverJobs();
+  const { id } = req.query;
+  if (!jobExists(id)) return res.status(404).json({ error: `Job "${id}" not found` });
+
+  try {
+    res.status(200).json(jobStatus(getJob(id)));
+  } catch (error) {
+    console.error(`Error reading job "${id}":`, error);
+    res.status(500).json({ error: "Failed to load job" });
+  }
+}
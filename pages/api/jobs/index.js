@@ -0,0 +1,17 @@
+import { enqueueJob, jobStatus } from "../../../lib/jobs";
+
+// POST /api/jobs -> queue a generation (same body as /api/generate) and return at once;
+// poll GET /api/jobs/:id for progress and the result
+export default function handler(req, res) {
+  if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
+
+  try {
+    const job = enqueueJob(req.body);
+    res.setHeader("Location", `/api/jobs/${job.id}`);
+    res.status(202).json(jobStatus(job));
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error("Error queueing job:", error);
+    res.status(500).json({ error: "Failed to queue job" });
+  }
+}
@@ -0,0 +1,69 @@
+import fs from "fs";
+import formidable from "formidable";
+import pdfParse from "pdf-parse/lib/pdf-parse.js";
+import { hasLLMProvider } from "../../lib/llm";
+import { parseResumeText, parseResumeWithAI } from "../../lib/resume-parser";
+
+// formidable reads the multipart body itself
+export const config = {
+  api: { bodyParser: false },
+};
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+function parseForm(req) {
+  const form = formidable({ maxFiles: 1, maxFileSize: MAX_FILE_SIZE });
+  return new Promise((resolve, reject) => {
+    form.parse(req, (err, fields, files) => (err ? reject(err) : resolve({ fields, files })));
+  });
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
+
+  try {
+    let files;
+    try {
+      ({ files } = await parseForm(req));
+    } catch (err) {
+      return res.status(400).json({ error: `Invalid upload: ${err.message}` });
+    }
+
+    const upload = Array.isArray(files.resume) ? files.resume[0] : files.resume;
+    if (!upload) return res.status(400).json({ error: "No file uploaded (expected field \"resume\")" });
+
+    const buffer = fs.readFileSync(upload.filepath);
+    fs.unlink(upload.filepath, () => {});
+
+    if (buffer.subarray(0, 5).toString() !== "%PDF-") {
+      return res.status(400).json({ error: "Uploaded file is not a PDF" });
+    }
+
+    const pdf = await pdfParse(buffer);
+    const text = (pdf.text || "").trim();
+    if (!text) {
+      return res.status(422).json({ error: "No text found in PDF (scanned documents are not supported)" });
+    }
+    console.log(`Extracted ${text.length} characters from ${pdf.numpages} page(s)`);
+
+    // Use the model when a provider is configured; the heuristic parser is the deterministic fallback
+    let data;
+    if (hasLLMProvider()) {
+      try {
+        data = await parseResumeWithAI(text);
+        console.log("✅ Resume parsed with AI");
+      } catch (err) {
+        console.error("AI parse failed, falling back to heuristic parser:", err.message);
+      }
+    }
+    if (!data) {
+      data = parseResumeText(text);
+      console.log("✅ Resume parsed with heuristic parser");
+    }
+
+    res.status(200).json({ data });
+  } catch (err) {
+    console.error("Resume parse error:", err);
+    res.status(500).json({ error: "Failed to parse resume: " + err.message });
+  }
+}
@@ -0,0 +1,14 @@
+import { listPresets } from "../../lib/presets";
+
+export default function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).send("Method not allowed");
+  }
+
+  try {
+    res.status(200).json(listPresets());
+  } catch (error) {
+    console.error("Error loading presets:", error);
+    res.status(500).json({ error: "Failed to load presets" });
+  }
+}
@@ -0,0 +1,114 @@
+import { renderHtml, resolvePaper, buildFileName } from "../../lib/render";
+import { renderFittedPdf, parsePageTarget } from "../../lib/fit";
+import { renderDocx, DOCX_MIME } from "../../lib/docx";
+import { renderPlainText, renderMarkdown } from "../../lib/text-export";
+import { runExists, getRun, updateRun, saveRunPdf } from "../../lib/history";
+import { loadProfile } from "../../lib/profiles";
+import { checkGrounding, assertExportable } from "../../lib/grounding";
+import { scoreCoverage } from "../../lib/coverage";
+import { validateTemplateData } from "../../lib/template-data";
+
+// Download formats besides the JSON preview; only PDFs are auto-fitted and saved with the run
+const EXPORTS = {
+  pdf: { type: "application/pdf" },
+  docx: { type: DOCX_MIME },
+  txt: { type: "text/plain; charset=utf-8", render: renderPlainText },
+  md: { type: "text/markdown; charset=utf-8", render: renderMarkdown },
+};
+
+// Edits (and auto-fit trims) change the keyword coverage; the JD's skills were stored with the run
+function rescoreCoverage(runId, content) {
+  const { coverage } = getRun(runId);
+  return coverage ? { coverage: scoreCoverage(coverage.jdSkills, content) } : {};
+}
+
+// Re-render already tailored content (the `content` returned by /api/generate with output "json")
+// with any template, as HTML for the preview iframe or as the final PDF, DOCX, plain text ("txt") or
+// Markdown ("md"). Never calls the model.
+// With `profile` set the content is re-checked against it; in `strict` mode the export is refused while
+// any flagged claim is neither removed from the content nor listed in `acceptedIssues`.
+// PDFs are printed on `paper` ("a4" | "letter") and auto-fitted to `pages` (1, 2 or unlimited, see lib/fit.js);
+// what the fit changed is returned in the X-Fit-Report header (URI-encoded JSON).
+export default async function handler(req, res) {
+  if (req.method !== "POST") return res.status(405).send("Method not allowed");
+
+  try {
+    const { content, template, format, fileName, runId, profile, strict, acceptedIssues, paper, pages } = req.body;
+
+    if (!content || typeof content !== "object" || !content.name) {
+      return res.status(400).send("Resume content required");
+    }
+    // Edited in the browser, so checked like /api/render data before it reaches a template
+    const errors = validateTemplateData(content);
+    if (errors.length) {
+      return res.status(400).send(`Invalid resume content:\n${errors.map((e) => `${e.path || "(root)"} ${e.message}`).join("\n")}`);
+    }
+
+    const html = renderHtml(content, template || "Resume");
+    const grounding = profile ? checkGrounding(loadProfile(profile), content) : null;
+
+    if (!EXPORTS[format]) {
+      return res.status(200).json({ html, grounding });
+    }
+
+    if (strict) {
+      if (!grounding) return res.status(400).send("Profile required for strict export");
+      assertExportable(grounding, acceptedIssues);
+    }
+
+    // fileName comes from /api/generate (already built by buildFileName); keep it to the same safe characters
+    const baseName = (fileName && String(fileName).replace(/[^A-Za-z0-9_]/g, "")) || buildFileName(content.name);
+
+    if (format !== "pdf") {
+      const body = format === "docx" ? await renderDocx(content, template || "Resume", { paper: resolvePaper(paper) }) : EXPORTS[format].render(content);
+      if (runExists(runId)) {
+        try {
+          updateRun(runId, {
+            content,
+            ...rescoreCoverage(runId, content),
+            template: template || "Resume",
+            paper: resolvePaper(paper),
+            ...(grounding && { grounding, acceptedIssues: acceptedIssues || [] }),
+            strict: Boolean(strict),
+            approvedAt: new Date().toISOString(),
+          });
+        } catch (err) {
+          console.error("Failed to update run in history:", err);
+        }
+      }
+      res.setHeader("Content-Type", EXPORTS[format].type);
+      res.setHeader("Content-Disposition", `attachment; filename="${baseName}.${format}"`);
+      return res.end(body);
+    }
+
+    const fitted = await renderFittedPdf(content, template || "Resume", { paper: resolvePaper(paper), pages: parsePageTarget(pages) });
+
+    // The approved (possibly edited, possibly trimmed to fit) content and its PDF become the run's final version in history
+    if (runExists(runId)) {
+      try {
+        updateRun(runId, {
+          content: fitted.data,
+          ...rescoreCoverage(runId, fitted.data),
+          fit: fitted.report,
+          template: template || "Resume",
+          paper: resolvePaper(paper),
+          pages: parsePageTarget(pages),
+          ...(grounding && { grounding, acceptedIssues: acceptedIssues || [] }),
+          strict: Boolean(strict),
+          approvedAt: new Date().toISOString(),
+        });
+        saveRunPdf(runId, fitted.pdf);
+      } catch (err) {
+        console.error("Failed to update run in history:", err);
+      }
+    }
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${baseName}.pdf"`);
+    res.setHeader("X-Fit-Report", encodeURIComponent(JSON.stringify(fitted.report)));
+    res.end(fitted.pdf);
+  } catch (err) {
+    if (err.status) return res.status(err.status).send(err.message);
+    console.error("Preview render error:", err);
+    res.status(500).send("Preview render failed: " + err.message);
+  }
+}
@@ -1,19 +1,30 @@
-import fs from "fs";
-import path from "path";
+import {
+  listProfiles,
+  profileIdFromName,
+  isValidProfileId,
+  profileExists,
+  readProfile,
+  writeProfile,
+} from "../../lib/profiles";
+import { validateProfile, formatIssue } from "../../lib/validate-profile";
 
 export default function handler(req, res) {
+  if (req.method === "POST") return createProfile(req, res);
+  if (req.method !== "GET") return res.status(405).json({ error: "Method not allowed" });
+
   try {
-    const resumesDir = path.join(process.cwd(), "resumes");
-    const files = fs.readdirSync(resumesDir);
-    
-    // Filter JSON files and exclude template
-    const profiles = files
-      .filter(file => file.endsWith(".json") && file !== "_template.json")
-      .map(file => ({
-        id: file.replace(".json", ""),
-        name: file.replace(".json", "").replace(/_/g, " ")
-      }));
-    
+    // Validate each file so the dropdown can flag profiles that generate.js would reject
+    const profiles = listProfiles().map((profile) => {
+      try {
+        const data = readProfile(profile.id);
+        const { valid, errors, warnings } = validateProfile(data);
+        // title: the default headline when the form leaves it empty; skills: size of the skills inventory
+        const skills = Array.isArray(data.skills) ? data.skills.length : 0;
+        return { ...profile, title: data.title || "", skills, valid, errors: errors.length, warnings: warnings.length };
+      } catch (err) {
+        return { ...profile, skills: 0, valid: false, errors: 1, warnings: 0 };
+      }
+    });
     res.status(200).json(profiles);
   } catch (error) {
     console.error("Error reading profiles:", error);
@@ -21,3 +32,29 @@ export default function handler(req, res) {
   }
 }
 
+// POST { profile, id?, overwrite? } -> 201 { id } | 409 when the file exists and overwrite was not confirmed
+function createProfile(req, res) {
+  try {
+    const { profile, overwrite } = req.body || {};
+
+    const { valid, errors, warnings } = validateProfile(profile);
+    if (!valid) return res.status(400).json({ error: "Invalid profile", errors: errors.map(formatIssue) });
+
+    const id = req.body.id ? String(req.body.id).trim() : profileIdFromName(profile.name);
+    if (!isValidProfileId(id)) {
+      return res.status(400).json({ error: `Invalid profile id "${id}". Use letters, numbers, spaces, "_" or "-".` });
+    }
+
+    const exists = profileExists(id);
+    if (exists && !overwrite) {
+      return res.status(409).json({ error: `Profile "${id}" already exists`, id, exists: true });
+    }
+
+    writeProfile(id, profile);
+    console.log(`${exists ? "Updated" : "Created"} profile: ${id}`);
+    res.status(exists ? 200 : 201).json({ id, created: !exists, warnings: warnings.map(formatIssue) });
+  } catch (error) {
+    console.error("Error saving profile:", error);
+    res.status(500).json({ error: "Failed to save profile" });
+  }
+}
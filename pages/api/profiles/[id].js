@@ -0,0 +1,42 @@
+import {
+  isValidProfileId,
+  profileExists,
+  readProfile,
+  writeProfile,
+  deleteProfile,
+} from "../../../lib/profiles";
+import { validateProfile, formatIssue } from "../../../lib/validate-profile";
+
+export default function handler(req, res) {
+  const { id } = req.query;
+
+  if (!isValidProfileId(id)) return res.status(400).json({ error: `Invalid profile id "${id}"` });
+  if (!profileExists(id)) return res.status(404).json({ error: `Profile "${id}" not found` });
+
+  try {
+    if (req.method === "GET") {
+      return res.status(200).json(readProfile(id));
+    }
+
+    if (req.method === "PUT") {
+      const profile = req.body?.profile;
+      const { valid, errors, warnings } = validateProfile(profile);
+      if (!valid) return res.status(400).json({ error: "Invalid profile", errors: errors.map(formatIssue) });
+
+      writeProfile(id, profile);
+      console.log(`Updated profile: ${id}`);
+      return res.status(200).json({ id, warnings: warnings.map(formatIssue) });
+    }
+
+    if (req.method === "DELETE") {
+      deleteProfile(id);
+      console.log(`Deleted profile: ${id}`);
+      return res.status(200).json({ id, deleted: true });
+    }
+
+    res.status(405).json({ error: "Method not allowed" });
+  } catch (error) {
+    console.error(`Error handling profile "${id}":`, error);
+    res.status(500).json({ error: "Failed to process profile" });
+  }
+}
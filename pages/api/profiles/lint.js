@@ -0,0 +1,33 @@
+import { listProfiles, readProfile } from "../../../lib/profiles";
+import { validateProfile } from "../../../lib/validate-profile";
+
+// GET /api/profiles/lint -> field-level errors and warnings for every file in resumes/
+export default function handler(req, res) {
+  if (req.method !== "GET") return res.status(405).json({ error: "Method not allowed" });
+
+  try {
+    const results = listProfiles().map(({ id }) => {
+      const file = `resumes/${id}.json`;
+      let data;
+      try {
+        data = readProfile(id);
+      } catch (err) {
+        return { id, file, valid: false, errors: [{ path: "", message: `Invalid JSON: ${err.message}` }], warnings: [] };
+      }
+      return { id, file, ...validateProfile(data) };
+    });
+
+    const summary = {
+      files: results.length,
+      valid: results.filter((r) => r.valid).length,
+      invalid: results.filter((r) => !r.valid).length,
+      errors: results.reduce((sum, r) => sum + r.errors.length, 0),
+      warnings: results.reduce((sum, r) => sum + r.warnings.length, 0),
+    };
+
+    res.status(200).json({ summary, results });
+  } catch (error) {
+    console.error("Error linting profiles:", error);
+    res.status(500).json({ error: "Failed to lint profiles" });
+  }
+}
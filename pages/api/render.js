@@ -0,0 +1,87 @@
+import { renderHtml, renderPng, resolvePaper, buildFileName } from "../../lib/render";
+import { renderFittedPdf, parsePageTarget } from "../../lib/fit";
+import { renderDocx, DOCX_MIME } from "../../lib/docx";
+import { renderPlainText, renderMarkdown } from "../../lib/text-export";
+import { validateTemplateData } from "../../lib/template-data";
+import { runExists, getRun } from "../../lib/history";
+import { loadProfile } from "../../lib/profiles";
+import { checkGrounding, assertExportable } from "../../lib/grounding";
+
+const FORMATS = {
+  pdf: "application/pdf",
+  png: "image/png",
+  html: "text/html; charset=utf-8",
+  docx: DOCX_MIME,
+  txt: "text/plain; charset=utf-8",
+  md: "text/markdown; charset=utf-8",
+};
+
+// Deterministic render: resume data (the `templateData` shape, see lib/schemas/template-data.schema.json)
+// + template -> PDF, PNG, HTML, DOCX (Word, styled after the template), plain text or Markdown.
+// Never calls the model.
+// POST /api/render { data, template, format, fileName, scale, paper, pages }
+//   or { runId, ... } to re-render an archived run's final content (with its template unless one is given)
+// `paper` is "a4" or "letter"; PDFs are auto-fitted to `pages` (1, 2 or unlimited) and report it in X-Fit-Report.
+// `strict` (default: the run's own setting) refuses the render while the data has claims the `profile`
+// (default: the run's profile) does not back up, unless they are listed in `acceptedIssues` (as in /api/preview).
+export default async function handler(req, res) {
+  if (req.method !== "POST") return res.status(405).send("Method not allowed");
+
+  try {
+    const { runId, format = "pdf", fileName, scale, pages } = req.body;
+    const paper = resolvePaper(req.body.paper);
+    let { data, template, profile, strict, acceptedIssues } = req.body;
+
+    if (!FORMATS[format]) return res.status(400).send(`Unknown format "${format}" (expected ${Object.keys(FORMATS).join(", ")})`);
+
+    if (runId) {
+      if (!runExists(runId)) return res.status(404).send(`Run "${runId}" not found`);
+      const run = getRun(runId);
+      data = run.content;
+      template = template || run.template;
+      profile = profile || run.profile;
+      strict = strict ?? run.strict;
+      acceptedIssues = acceptedIssues || run.acceptedIssues;
+    }
+
+    const errors = validateTemplateData(data);
+    if (errors.length) {
+      return res.status(400).send(`Invalid resume data:\n${errors.map((e) => `${e.path || "(root)"} ${e.message}`).join("\n")}`);
+    }
+
+    if (strict) {
+      if (!profile) return res.status(400).send("Profile required for strict export");
+      assertExportable(checkGrounding(loadProfile(profile), data), acceptedIssues);
+    }
+
+    const html = renderHtml(data, template || "Resume");
+    if (format === "html") {
+      // Opened directly, the page may not run scripts, load anything remote or act as this origin
+      res.setHeader("Content-Security-Policy", "sandbox; default-src 'none'; style-src 'unsafe-inline'; img-src data:; font-src data:");
+      res.setHeader("Content-Type", FORMATS.html);
+      return res.status(200).send(html);
+    }
+
+    let body;
+    if (format === "txt" || format === "md") {
+      body = format === "txt" ? renderPlainText(data) : renderMarkdown(data);
+    } else if (format === "docx") {
+      body = await renderDocx(data, template || "Resume", { paper });
+    } else if (format === "png") {
+      body = await renderPng(html, { scale: Math.min(Math.max(Number(scale) || 1, 1), 3), paper });
+    } else {
+      const fitted = await renderFittedPdf(data, template || "Resume", { paper, pages: parsePageTarget(pages) });
+      res.setHeader("X-Fit-Report", encodeURIComponent(JSON.stringify(fitted.report)));
+      body = fitted.pdf;
+    }
+    const baseName = (fileName && String(fileName).replace(/[^A-Za-z0-9_]/g, "")) || buildFileName(data.name);
+
+    res.setHeader("Content-Type", FORMATS[format]);
+    res.setHeader("Content-Disposition", `${format === "png" ? "inline" : "attachment"}; filename="${baseName}.${format}"`);
+    res.end(body);
+  } catch (err) {
+    if (err.status) return res.status(err.status).send(err.message);
+    console.error("Render error:", err);
+    res.status(500).send("Render failed: " + err.message);
+  }
+}
@@ -0,0 +1,244 @@
+import { useState, useEffect } from "react";
+
+const SAMPLE_CSV = `profile,jobTitle,companyName,template,jd
+,Backend Engineer,Acme,,"Paste the job description here (quoted, may span lines)"`;
+
+export default function Batch() {
+  const [profiles, setProfiles] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [profile, setProfile] = useState("");
+  const [template, setTemplate] = useState("");
+  const [paper, setPaper] = useState("a4");
+  const [pages, setPages] = useState("");
+  const [strict, setStrict] = useState(false);
+  const [jd, setJd] = useState("");
+  const [rowsText, setRowsText] = useState("");
+  const [running, setRunning] = useState(false);
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetch("/api/profiles")
+      .then(res => res.json())
+      .then(data => setProfiles(data))
+      .catch(err => console.error("Failed to load profiles:", err));
+    fetch("/api/templates")
+      .then(res => res.json())
+      .then(data => setTemplates(data))
+      .catch(err => console.error("Failed to load templates:", err));
+  }, []);
+
+  const loadFile = (e) => {
+    const file = e.target.files?.[0];
+    if (file) file.text().then(setRowsText);
+    e.target.value = "";
+  };
+
+  const run = async () => {
+    setError(null);
+    setSummary(null);
+
+    // JSON array or CSV with a header row; blank cells use the shared values above
+    const text = rowsText.trim();
+    let input;
+    try {
+      input = text.startsWith("[") ? { rows: JSON.parse(text) } : { csv: text };
+    } catch (err) {
+      return setError(`Rows are not valid JSON: ${err.message}`);
+    }
+
+    setRunning(true);
+    try {
+      const response = await fetch("/api/batch", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          ...input,
+          defaults: {
+            profile: profile || undefined,
+            template: template || undefined,
+            jd: jd.trim() || undefined,
+            paper,
+            pages: pages || undefined
+          },
+          strict
+        })
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || "Batch failed");
+      }
+
+      const blob = await response.blob();
+      const fileName = /filename="([^"]+)"/.exec(response.headers.get("Content-Disposition") || "")?.[1] || "resumes.zip";
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = fileName;
+      a.click();
+      window.URL.revokeObjectURL(url);
+
+      setSummary({
+        total: Number(response.headers.get("X-Batch-Total")),
+        succeeded: Number(response.headers.get("X-Batch-Succeeded")),
+        failed: Number(response.headers.get("X-Batch-Failed"))
+      });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const inputStyle = {
+    padding: "10px",
+    borderRadius: "6px",
+    border: "1px solid #ccc",
+    fontSize: "14px",
+    fontFamily: "inherit"
+  };
+
+  const labelStyle = { display: "block", fontSize: "13px", fontWeight: "600", color: "#555", marginBottom: "6px" };
+
+  return (
+    <div style={{
+      maxWidth: 1100,
+      margin: "40px auto",
+      fontFamily: "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif",
+      background: "#f9f9f9",
+      padding: "30px",
+      borderRadius: "12px",
+      boxShadow: "0 4px 12px rgba(0,0,0,0.1)"
+    }}>
+      <h1 style={{ textAlign: "center", color: "#333", marginBottom: "10px" }}>
+        Batch Tailoring
+      </h1>
+      <p style={{ textAlign: "center", color: "#666", marginBottom: "30px" }}>
+        Tailor one JD to several profiles, or several JDs to one profile. Downloads a ZIP of PDFs with a manifest.
+      </p>
+
+      <div style={{ background: "#fff", padding: "20px", borderRadius: "8px", marginBottom: "20px" }}>
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "10px", marginBottom: "15px" }}>
+          <div>
+            <label style={labelStyle}>Profile for every row (optional)</label>
+            <select value={profile} onChange={(e) => setProfile(e.target.value)} style={{ ...inputStyle, width: "100%" }}>
+              <option value="">Set per row</option>
+              {profiles.map(p => (
+                <option key={p.id} value={p.id}>{p.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label style={labelStyle}>Template for every row (optional)</label>
+            <select value={template} onChange={(e) => setTemplate(e.target.value)} style={{ ...inputStyle, width: "100%" }}>
+              <option value="">Set per row (default Classic)</option>
+              {templates.map(t => (
+                <option key={t.id} value={t.id}>{t.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label style={labelStyle}>Paper</label>
+            <select value={paper} onChange={(e) => setPaper(e.target.value)} style={{ ...inputStyle, width: "100%" }}>
+              <option value="a4">A4</option>
+              <option value="letter">US Letter</option>
+            </select>
+          </div>
+          <div>
+            <label style={labelStyle}>Page target (auto-fit)</label>
+            <select value={pages} onChange={(e) => setPages(e.target.value)} style={{ ...inputStyle, width: "100%" }}>
+              <option value="">Unlimited</option>
+              <option value="1">1 page</option>
+              <option value="2">2 pages</option>
+            </select>
+          </div>
+        </div>
+
+        <label style={{ display: "flex", alignItems: "center", gap: "8px", fontSize: "13px", color: "#555", marginBottom: "15px" }}>
+          <input type="checkbox" checked={strict} onChange={(e) => setStrict(e.target.checked)} />
+          Strict mode: leave out resumes with claims the profile does not back up (marked "blocked" in the manifest)
+        </label>
+
+        <label style={labelStyle}>Job description for every row (optional)</label>
+        <textarea
+          value={jd}
+          onChange={(e) => setJd(e.target.value)}
+          rows={5}
+          placeholder="Leave empty to use the jd column of each row"
+          style={{ ...inputStyle, width: "100%", boxSizing: "border-box", marginBottom: "15px" }}
+        />
+
+        <label style={labelStyle}>
+          Rows: CSV with a header row or a JSON array of {"{ profile, jobTitle, companyName, jd, template }"}
+        </label>
+        <textarea
+          value={rowsText}
+          onChange={(e) => setRowsText(e.target.value)}
+          rows={10}
+          placeholder={SAMPLE_CSV}
+          style={{ ...inputStyle, width: "100%", boxSizing: "border-box", fontFamily: "monospace", fontSize: "13px" }}
+        />
+        <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginTop: "10px" }}>
+          <input type="file" accept=".csv,.json,text/csv,application/json" onChange={loadFile} />
+          <button
+            onClick={run}
+            disabled={running || !rowsText.trim()}
+            style={{
+              background: running || !rowsText.trim() ? "#9e9e9e" : "#2196F3",
+              color: "#fff",
+              border: "none",
+              padding: "10px 16px",
+              borderRadius: "6px",
+              cursor: running || !rowsText.trim() ? "not-allowed" : "pointer",
+              fontSize: "14px"
+            }}
+          >
+            {running ? "Running batch..." : "Run batch"}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div style={{
+          background: "#ffebee",
+          color: "#c62828",
+          padding: "15px",
+          borderRadius: "8px",
+          marginBottom: "20px",
+          border: "1px solid #ef5350"
+        }}>
+          <strong>Error:</strong> {error}
+        </div>
+      )}
+
+      {summary && (
+        <div style={{
+          background: summary.failed ? "#fff8e1" : "#e8f5e9",
+          color: summary.failed ? "#8d6e00" : "#2e7d32",
+          padding: "15px",
+          borderRadius: "8px",
+          marginBottom: "20px"
+        }}>
+          {summary.succeeded} of {summary.total} resume{summary.total === 1 ? "" : "s"} generated
+          {summary.failed > 0 && ` · ${summary.failed} failed (see manifest.csv in the ZIP for the errors)`}
+        </div>
+      )}
+
+      <div style={{
+        marginTop: "30px",
+        textAlign: "center"
+      }}>
+        <a
+          href="/"
+          style={{
+            color: "#2196F3",
+            textDecoration: "none",
+            fontSize: "14px"
+          }}
+        >
+          ← Back to Resume Generator
+        </a>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,262 @@
+import { useState, useEffect } from "react";
+
+const tokenStyle = {
+  added: { background: "#e8f5e9", color: "#2e7d32" },
+  removed: { background: "#ffebee", color: "#c62828", textDecoration: "line-through" },
+  same: {},
+};
+
+function WordDiff({ tokens }) {
+  return (
+    <p style={{ margin: 0, lineHeight: "1.7" }}>
+      {tokens.map((t, idx) => (
+        <span key={idx} style={tokenStyle[t.type]}>
+          {t.value}{" "}
+        </span>
+      ))}
+    </p>
+  );
+}
+
+function DiffView({ diff }) {
+  const label = (run) => `${new Date(run.createdAt).toLocaleString()} · ${run.companyName || "—"} · ${run.jobTitle || "—"}`;
+
+  return (
+    <div style={{ background: "#fff", padding: "25px", borderRadius: "8px", marginTop: "20px" }}>
+      <h2 style={{ margin: "0 0 10px", color: "#333" }}>Comparison</h2>
+      <div style={{ fontSize: "13px", color: "#666", marginBottom: "20px" }}>
+        <div><span style={tokenStyle.removed}>A</span> {label(diff.a)} ({diff.a.template})</div>
+        <div><span style={tokenStyle.added}>B</span> {label(diff.b)} ({diff.b.template})</div>
+      </div>
+
+      <h3 style={{ color: "#333" }}>Title</h3>
+      <WordDiff tokens={diff.title} />
+
+      <h3 style={{ color: "#333" }}>Summary</h3>
+      <WordDiff tokens={diff.summary} />
+
+      <h3 style={{ color: "#333" }}>Skills</h3>
+      <ul style={{ paddingLeft: "20px" }}>
+        {diff.skills.map((s) => (
+          <li key={s.category} style={{ marginBottom: "4px" }}>
+            <strong style={s.status === "same" ? {} : tokenStyle[s.status]}>{s.category}</strong>
+            {s.added.length > 0 && <span style={{ ...tokenStyle.added, marginLeft: "8px" }}>+ {s.added.join(", ")}</span>}
+            {s.removed.length > 0 && <span style={{ ...tokenStyle.removed, marginLeft: "8px" }}>− {s.removed.join(", ")}</span>}
+          </li>
+        ))}
+      </ul>
+
+      <h3 style={{ color: "#333" }}>Experience</h3>
+      {diff.experience.map((exp) => (
+        <div key={`${exp.company}|${exp.title}`} style={{ marginBottom: "15px" }}>
+          <strong style={exp.status === "same" ? {} : tokenStyle[exp.status]}>
+            {exp.title} · {exp.company}
+          </strong>
+          <ul style={{ paddingLeft: "20px", margin: "6px 0 0" }}>
+            {exp.bullets.map((b, idx) => (
+              <li key={idx} style={{ ...tokenStyle[b.type], marginBottom: "3px" }}>
+                {b.value}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default function History() {
+  const [runs, setRuns] = useState([]);
+  const [profiles, setProfiles] = useState([]);
+  const [query, setQuery] = useState("");
+  const [profile, setProfile] = useState("");
+  const [selected, setSelected] = useState([]);
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    fetch("/api/profiles")
+      .then(res => res.json())
+      .then(data => setProfiles(data))
+      .catch(err => console.error("Failed to load profiles:", err));
+  }, []);
+
+  // Debounced search
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      const params = new URLSearchParams();
+      if (query) params.set("q", query);
+      if (profile) params.set("profile", profile);
+      setLoading(true);
+      fetch(`/api/history?${params}`)
+        .then(res => res.json())
+        .then(data => {
+          setRuns(Array.isArray(data) ? data : []);
+          setError(data.error || null);
+        })
+        .catch(err => setError(err.message))
+        .finally(() => setLoading(false));
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [query, profile]);
+
+  const toggleSelected = (id) => {
+    setDiff(null);
+    setSelected(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id].slice(-2)));
+  };
+
+  const selectedRuns = runs.filter(r => selected.includes(r.id));
+  const canCompare = selectedRuns.length === 2 && selectedRuns[0].profile === selectedRuns[1].profile;
+
+  const compare = async () => {
+    if (!canCompare) return;
+    setError(null);
+    try {
+      // Older run on the left
+      const [a, b] = [...selectedRuns].sort((x, y) => x.createdAt.localeCompare(y.createdAt));
+      const response = await fetch(`/api/history/diff?a=${a.id}&b=${b.id}`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Failed to compare runs");
+      setDiff(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const inputStyle = {
+    padding: "10px",
+    borderRadius: "6px",
+    border: "1px solid #ccc",
+    fontSize: "14px"
+  };
+
+  return (
+    <div style={{
+      maxWidth: 1100,
+      margin: "40px auto",
+      fontFamily: "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif",
+      background: "#f9f9f9",
+      padding: "30px",
+      borderRadius: "12px",
+      boxShadow: "0 4px 12px rgba(0,0,0,0.1)"
+    }}>
+      <h1 style={{ textAlign: "center", color: "#333", marginBottom: "10px" }}>
+        Generation History
+      </h1>
+      <p style={{ textAlign: "center", color: "#666", marginBottom: "30px" }}>
+        Search past runs, download them again, or compare two runs for the same profile
+      </p>
+
+      <div style={{ background: "#fff", padding: "20px", borderRadius: "8px", marginBottom: "20px", display: "flex", gap: "10px" }}>
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search company, job title, profile or JD text..."
+          style={{ ...inputStyle, flex: 1 }}
+        />
+        <select value={profile} onChange={(e) => setProfile(e.target.value)} style={inputStyle}>
+          <option value="">All profiles</option>
+          {profiles.map(p => (
+            <option key={p.id} value={p.id}>{p.name}</option>
+          ))}
+        </select>
+        <button
+          onClick={compare}
+          disabled={!canCompare}
+          title={selected.length === 2 && !canCompare ? "Pick two runs for the same profile" : ""}
+          style={{
+            background: canCompare ? "#2196F3" : "#9e9e9e",
+            color: "#fff",
+            border: "none",
+            padding: "10px 16px",
+            borderRadius: "6px",
+            cursor: canCompare ? "pointer" : "not-allowed",
+            fontSize: "14px"
+          }}
+        >
+          Compare ({selected.length}/2)
+        </button>
+      </div>
+
+      {error && (
+        <div style={{
+          background: "#ffebee",
+          color: "#c62828",
+          padding: "15px",
+          borderRadius: "8px",
+          marginBottom: "20px",
+          border: "1px solid #ef5350"
+        }}>
+          <strong>Error:</strong> {error}
+        </div>
+      )}
+
+      <div style={{ background: "#fff", padding: "10px 20px", borderRadius: "8px" }}>
+        {runs.length === 0 ? (
+          <p style={{ color: "#666", textAlign: "center" }}>{loading ? "Loading..." : "No runs found"}</p>
+        ) : (
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "14px" }}>
+            <thead>
+              <tr style={{ textAlign: "left", color: "#666", borderBottom: "1px solid #eee" }}>
+                <th style={{ padding: "8px 4px" }}></th>
+                <th style={{ padding: "8px 4px" }}>Date</th>
+                <th style={{ padding: "8px 4px" }}>Profile</th>
+                <th style={{ padding: "8px 4px" }}>Company</th>
+                <th style={{ padding: "8px 4px" }}>Job Title</th>
+                <th style={{ padding: "8px 4px" }}>Template / Preset</th>
+                <th style={{ padding: "8px 4px" }}>Model / Tokens</th>
+                <th style={{ padding: "8px 4px" }}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {runs.map(run => (
+                <tr key={run.id} style={{ borderBottom: "1px solid #f0f0f0" }} title={run.jdPreview}>
+                  <td style={{ padding: "8px 4px" }}>
+                    <input type="checkbox" checked={selected.includes(run.id)} onChange={() => toggleSelected(run.id)} />
+                  </td>
+                  <td style={{ padding: "8px 4px", whiteSpace: "nowrap" }}>{new Date(run.createdAt).toLocaleString()}</td>
+                  <td style={{ padding: "8px 4px" }}>{run.profileName || run.profile}</td>
+                  <td style={{ padding: "8px 4px" }}>{run.companyName}</td>
+                  <td style={{ padding: "8px 4px" }}>{run.jobTitle}</td>
+                  <td style={{ padding: "8px 4px" }}>
+                    {run.template}
+                    {run.preset && <div style={{ fontSize: "12px", color: "#666" }}>{run.preset}</div>}
+                  </td>
+                  <td style={{ padding: "8px 4px", color: "#666" }}>
+                    {run.model}
+                    {run.usage && <div style={{ fontSize: "12px" }}>{run.usage.prompt_tokens} in / {run.usage.completion_tokens} out</div>}
+                  </td>
+                  <td style={{ padding: "8px 4px" }}>
+                    <a href={`/api/history/${run.id}/pdf`} style={{ color: "#2196F3", textDecoration: "none" }}>
+                      ⬇ PDF
+                    </a>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {diff && <DiffView diff={diff} />}
+
+      <div style={{
+        marginTop: "30px",
+        textAlign: "center"
+      }}>
+        <a
+          href="/"
+          style={{
+            color: "#2196F3",
+            textDecoration: "none",
+            fontSize: "14px"
+          }}
+        >
+          ← Back to Resume Generator
+        </a>
+      </div>
+    </div>
+  );
+}
@@ -1,48 +1,159 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef } from "react";
+import ContentEditor, { cleanContent } from "../components/ContentEditor";
+import GroundingWarnings, { fixIssue } from "../components/GroundingWarnings";
+import GenerationProgress, { INITIAL_PROGRESS, applyProgressEvent, startExportProgress } from "../components/GenerationProgress";
+import FitReport from "../components/FitReport";
+import JdAnalysis from "../components/JdAnalysis";
+import KeywordCoverage from "../components/KeywordCoverage";
+import SkillGaps from "../components/SkillGaps";
+import BulletSources from "../components/BulletSources";
+import CoverLetterPanel from "../components/CoverLetterPanel";
+import { renderPlainText, renderMarkdown } from "../lib/text-export";
+import { scoreCoverage } from "../lib/coverage";
+
+// The preview iframe renders at 8.5in and is scaled to the card's content width
+const PREVIEW_WIDTH = 816;
+const PREVIEW_HEIGHT = 1400;
+const PREVIEW_SCALE = 0.76;
+const PREVIEW_DEBOUNCE_MS = 500;
+const JD_ANALYZE_DEBOUNCE_MS = 800;
+const JD_ANALYZE_MIN_CHARS = 80;
+const PREVIEW_STORAGE_KEY = "resume-tailor:preview";
+const STRICT_STORAGE_KEY = "resume-tailor:strict";
+const PDF_OPTIONS_STORAGE_KEY = "resume-tailor:pdf-options";
+const FORMAT_LABELS = { pdf: "PDF", docx: "DOCX", txt: "Text", md: "Markdown" };
+const COPY_FORMATS = { txt: renderPlainText, md: renderMarkdown };
+
+// Read a Server-Sent Events response body, calling onEvent(event, data) for each complete message
+async function readEvents(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let end;
+    while ((end = buffer.indexOf("\n\n")) !== -1) {
+      const block = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      const event = /^event: (.*)$/m.exec(block)?.[1] || "message";
+      const data = /^data: (.*)$/m.exec(block)?.[1];
+      onEvent(event, data ? JSON.parse(data) : null);
+    }
+  }
+}
 
 export default function Home() {
   const [profiles, setProfiles] = useState([]);
   const [templates, setTemplates] = useState([]);
   const [selectedProfile, setSelectedProfile] = useState("");
   const [selectedTemplate, setSelectedTemplate] = useState("Resume");
+  const [presets, setPresets] = useState([]);
+  const [selectedPreset, setSelectedPreset] = useState("");
   const [jd, setJd] = useState("");
   const [jobTitle, setJobTitle] = useState("");
   const [companyName, setCompanyName] = useState("");
+  const [jdAnalysis, setJdAnalysis] = useState(null);
+  const [analyzingJd, setAnalyzingJd] = useState(false);
+  const jdAbort = useRef(null);
+  // Values the analyzer put in Job Title / Company Name; a field still holding one may be replaced
+  const autoFilled = useRef({ jobTitle: "", companyName: "" });
+  const [headline, setHeadline] = useState("");
+  // Profiles with a skills inventory can limit the Skills section to it ("inventory" skills mode)
+  const [inventoryOnly, setInventoryOnly] = useState(true);
   const [disable, setDisable] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [rendering, setRendering] = useState(false);
+  const [downloading, setDownloading] = useState(false);
+  const [copied, setCopied] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [renderError, setRenderError] = useState(null);
+  const [strictMode, setStrictMode] = useState(false);
+  const [progress, setProgress] = useState(INITIAL_PROGRESS);
+  // Paper and page target for the PDF; the server auto-fits and reports what it changed
+  const [pdfOptions, setPdfOptions] = useState({ format: "pdf", paper: "a4", pages: "" });
+  const [fitReport, setFitReport] = useState(null);
+  const generateAbort = useRef(null);
+  const downloadAbort = useRef(null);
 
   // Load profiles and templates on mount
   useEffect(() => {
     fetch("/api/profiles")
       .then(res => res.json())
-      .then(data => setProfiles(data))
+      .then(data => {
+        setProfiles(data);
+        // Preselect a profile passed from the parser page (/?profile=<id>)
+        const requested = new URLSearchParams(window.location.search).get("profile");
+        if (requested && data.some(p => p.id === requested)) setSelectedProfile(requested);
+      })
       .catch(err => console.error("Failed to load profiles:", err));
     
     fetch("/api/templates")
       .then(res => res.json())
       .then(data => setTemplates(data))
       .catch(err => console.error("Failed to load templates:", err));
+
+    // The default preset is listed first
+    fetch("/api/presets")
+      .then(res => res.json())
+      .then(data => {
+        setPresets(data);
+        if (data.length) setSelectedPreset(data[0].id);
+      })
+      .catch(err => console.error("Failed to load presets:", err));
+
+    // Restore a preview (and its edits) saved before the last refresh
+    try {
+      const saved = JSON.parse(localStorage.getItem(PREVIEW_STORAGE_KEY));
+      if (saved?.content) {
+        setPreview(saved);
+        setSelectedTemplate(saved.template);
+      }
+    } catch (err) {
+      localStorage.removeItem(PREVIEW_STORAGE_KEY);
+    }
+    setStrictMode(localStorage.getItem(STRICT_STORAGE_KEY) === "1");
+    try {
+      const savedOptions = JSON.parse(localStorage.getItem(PDF_OPTIONS_STORAGE_KEY));
+      if (savedOptions) setPdfOptions(prev => ({ ...prev, ...savedOptions }));
+    } catch (err) {
+      localStorage.removeItem(PDF_OPTIONS_STORAGE_KEY);
+    }
   }, []);
 
 
-  const generatePDF = async () => {
+  const inventorySize = profiles.find(p => p.id === selectedProfile)?.skills || 0;
+
+  const generatePreview = async () => {
     if (disable) return;
     if (!selectedProfile) return alert("Please select a profile");
     if (!jd) return alert("Please enter the Job Description");
     if (!jobTitle) return alert("Please enter the Job Title");
     if (!companyName) return alert("Please enter the Company Name");
+    if (preview?.rev > 0 && !window.confirm("Regenerating replaces your edits. Continue?")) return;
 
     setDisable(true);
+    setProgress(INITIAL_PROGRESS);
+    const controller = new AbortController();
+    generateAbort.current = controller;
 
     try {
-      const genRes = await fetch("/api/generate", {
+      // Stage events arrive as they happen; closing the stream (Cancel) aborts the model request server-side
+      const genRes = await fetch("/api/generate/stream", {
         method: "POST",
+        signal: controller.signal,
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({ 
           profile: selectedProfile,
           jd: jd,
           template: selectedTemplate,
           jobTitle: jobTitle,
-          companyName: companyName
+          companyName: companyName,
+          preset: selectedPreset || undefined,
+          headline: headline.trim() || undefined,
+          skillsMode: inventorySize ? (inventoryOnly ? "inventory" : "jd") : undefined,
+          output: "json"
         })
       });
 
@@ -50,43 +161,256 @@ export default function Home() {
         const errorText = await genRes.text();
         console.error('Error response:', errorText);
         
-        throw new Error(errorText || "Failed to generate PDF");
+        throw new Error(errorText || "Failed to generate resume");
       }
 
-      const blob = await genRes.blob();
+      // result: { content, html, template, fileName, meta, runId, grounding, coverage, skillGaps, bulletLibrary? }
+      let data = null;
+      await readEvents(genRes, (event, payload) => {
+        if (event === "error") throw new Error(payload.message);
+        if (event === "result") data = payload;
+        else setProgress(prev => applyProgressEvent(prev, event, payload));
+      });
+      if (!data) throw new Error("The generation stream ended without a result");
+
+      setPreview({ ...data, profile: selectedProfile, accepted: [], rev: 0, renderedRev: 0 });
+      setFitReport(null);
+      setRendering(false);
+      setRenderError(null);
+    } catch (error) {
+      if (!controller.signal.aborted) alert(`❌ Error: ${error.message}`);
+    } finally {
+      generateAbort.current = null;
+      setDisable(false);
+    }
+  };
+
+  const cancelGenerate = () => generateAbort.current?.abort();
+
+  const analyzeJd = async (llm) => {
+    jdAbort.current?.abort();
+    const controller = new AbortController();
+    jdAbort.current = controller;
+    setAnalyzingJd(true);
+    try {
+      const response = await fetch("/api/analyze-jd", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ jd, llm }),
+        signal: controller.signal
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "JD analysis failed");
+      setJdAnalysis(data);
+
+      // Fill Job Title / Company Name unless the user typed their own
+      const fill = (field, setter, value) => {
+        if (!value) return;
+        setter(current => {
+          if (current && current !== autoFilled.current[field]) return current;
+          autoFilled.current[field] = value;
+          return value;
+        });
+      };
+      fill("jobTitle", setJobTitle, data.analysis.title);
+      fill("companyName", setCompanyName, data.analysis.company);
+    } catch (error) {
+      if (!controller.signal.aborted) console.error("JD analysis failed:", error);
+    } finally {
+      if (jdAbort.current === controller) {
+        jdAbort.current = null;
+        setAnalyzingJd(false);
+      }
+    }
+  };
+
+  // The dictionary analysis is cheap, so it follows the JD as it is pasted or edited
+  useEffect(() => {
+    if (jd.trim().length < JD_ANALYZE_MIN_CHARS) {
+      jdAbort.current?.abort();
+      setJdAnalysis(null);
+      return;
+    }
+    const timer = setTimeout(() => analyzeJd(false), JD_ANALYZE_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [jd]);
+
+  // Edits bump `rev`; switching templates or editing re-renders the same content (debounced), no model call
+  useEffect(() => {
+    if (!preview) return;
+    if (preview.template === selectedTemplate && preview.rev === preview.renderedRev) return;
+
+    let cancelled = false;
+    const rev = preview.rev;
+    setRendering(true);
+    const timer = setTimeout(() => {
+      fetch("/api/preview", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ content: cleanContent(preview.content), template: selectedTemplate, profile: preview.profile })
+      })
+        .then(async res => {
+          if (!res.ok) throw new Error(await res.text());
+          return res.json();
+        })
+        .then(data => {
+          if (cancelled) return;
+          // Edits can remove (or add) flagged claims, so the grounding check comes back with every render
+          setPreview(prev => ({
+            ...prev,
+            html: data.html,
+            grounding: data.grounding || prev.grounding,
+            template: selectedTemplate,
+            renderedRev: rev
+          }));
+          setRenderError(null);
+          setRendering(false);
+        })
+        .catch(err => {
+          if (cancelled) return;
+          setRenderError(err.message);
+          setRendering(false);
+        });
+    }, PREVIEW_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [selectedTemplate, preview]);
+
+  // Keep the preview and any edits across page refreshes
+  useEffect(() => {
+    if (preview) localStorage.setItem(PREVIEW_STORAGE_KEY, JSON.stringify(preview));
+  }, [preview]);
+
+  // Coverage is re-scored locally against the JD skills the generation was scored with
+  const updateContent = (content) => {
+    setPreview(prev => ({
+      ...prev,
+      content,
+      coverage: prev.coverage && scoreCoverage(prev.coverage.jdSkills, cleanContent(content)),
+      rev: prev.rev + 1
+    }));
+  };
+
+  const toggleAccepted = (id) => {
+    setPreview(prev => {
+      const accepted = prev.accepted || [];
+      return { ...prev, accepted: accepted.includes(id) ? accepted.filter(x => x !== id) : [...accepted, id] };
+    });
+  };
+
+  const changeStrictMode = (strict) => {
+    setStrictMode(strict);
+    localStorage.setItem(STRICT_STORAGE_KEY, strict ? "1" : "0");
+  };
+
+  const pendingIssues = (preview?.grounding || []).filter(issue => !(preview.accepted || []).includes(issue.id));
+  const exportBlocked = strictMode && pendingIssues.length > 0;
+  const downloadDisabled = downloading || rendering || exportBlocked;
+
+  const changePdfOption = (key, value) => {
+    const next = { ...pdfOptions, [key]: value };
+    setPdfOptions(next);
+    setFitReport(null);
+    localStorage.setItem(PDF_OPTIONS_STORAGE_KEY, JSON.stringify(next));
+  };
+
+  const pdfSelectStyle = {
+    marginRight: "8px",
+    padding: "9px 10px",
+    fontSize: "13px",
+    fontFamily: "inherit",
+    color: "#f1f5f9",
+    background: "rgba(30, 41, 59, 0.5)",
+    border: "1px solid rgba(255, 255, 255, 0.1)",
+    borderRadius: "10px",
+    outline: "none",
+    cursor: "pointer"
+  };
+
+  const discardPreview = () => {
+    if (!window.confirm("Discard the tailored content and your edits?")) return;
+    localStorage.removeItem(PREVIEW_STORAGE_KEY);
+    setPreview(null);
+    setFitReport(null);
+    setProgress(INITIAL_PROGRESS);
+    setEditing(false);
+  };
+
+  const format = FORMAT_LABELS[pdfOptions.format] ? pdfOptions.format : "pdf";
+
+  // Plain text / Markdown straight to the clipboard for application forms with a text box
+  const copyResume = async (copyFormat) => {
+    if (!preview || exportBlocked) return;
+    try {
+      await navigator.clipboard.writeText(COPY_FORMATS[copyFormat](cleanContent(preview.content)));
+      setCopied(copyFormat);
+      setTimeout(() => setCopied(current => (current === copyFormat ? null : current)), 2000);
+    } catch (error) {
+      alert(`❌ Copy failed: ${error.message}`);
+    }
+  };
+
+  // PDF and DOCX downloads finish the generation progress with their export stage
+  const downloadResume = async () => {
+    if (!preview || downloadDisabled) return;
+    const exporting = format === "pdf" || format === "docx";
+    setDownloading(true);
+    if (exporting) setProgress(prev => startExportProgress(prev, format));
+    const controller = new AbortController();
+    downloadAbort.current = controller;
+
+    try {
+      const pdfRes = await fetch("/api/preview", {
+        method: "POST",
+        signal: controller.signal,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          content: cleanContent(preview.content),
+          template: preview.template,
+          fileName: preview.fileName,
+          runId: preview.runId,
+          profile: preview.profile,
+          strict: strictMode,
+          acceptedIssues: preview.accepted || [],
+          paper: pdfOptions.paper,
+          pages: pdfOptions.pages || undefined,
+          format
+        })
+      });
+
+      if (!pdfRes.ok) {
+        const errorText = await pdfRes.text();
+        console.error('Error response:', errorText);
+        throw new Error(errorText || `Failed to generate ${FORMAT_LABELS[format]}`);
+      }
+
+      const fitHeader = pdfRes.headers.get("X-Fit-Report");
+      const fit = fitHeader ? JSON.parse(decodeURIComponent(fitHeader)) : null;
+      setFitReport(fit);
+
+      const blob = await pdfRes.blob();
+      if (exporting) setProgress(prev => applyProgressEvent(prev, format, { bytes: blob.size, pages: fit?.pages }));
       const url = window.URL.createObjectURL(blob);
       const a = document.createElement("a");
       a.href = url;
-      
-      // Compute filename as Name_company name_job title.pdf
-      const profile = profiles.find(p => p.id === selectedProfile);
-      const profileName = profile ? profile.name : "Profile";
-      
-      // Sanitize each part: remove spaces within section, remove special chars, keep only alphanumeric
-      const sanitize = (str) => str ? str.replace(/\s+/g, "").replace(/[^A-Za-z0-9]/g, "") : "";
-      const sanitizedName = sanitize(profileName);
-      const sanitizedCompany = sanitize(companyName);
-      const sanitizedJobTitle = sanitize(jobTitle);
-      
-      // Build filename: Name_company name_job title (underscores only between sections)
-      let baseName = sanitizedName;
-      if (sanitizedCompany) baseName += `_${sanitizedCompany}`;
-      if (sanitizedJobTitle) baseName += `_${sanitizedJobTitle}`;
-      
-      const fileName = `${baseName}.pdf`;
-      a.download = fileName;
-      
+      // Name_company name_job title.pdf (or .docx/.txt/.md), built server-side
+      a.download = `${preview.fileName}.${format}`;
       a.click();
       window.URL.revokeObjectURL(url);
-
-      // alert("✅ Resume generated successfully!");
     } catch (error) {
-      alert(`❌ Error: ${error.message}`);
+      setProgress(prev => ({ ...prev, exported: null }));
+      if (!controller.signal.aborted) alert(`❌ Error: ${error.message}`);
     } finally {
-      setDisable(false);
+      downloadAbort.current = null;
+      setDownloading(false);
     }
   };
 
+  const cancelDownload = () => downloadAbort.current?.abort();
+
   return (
     <>
       <style jsx global>{`
@@ -225,6 +549,12 @@ export default function Home() {
               }}>
                 AI-powered resume optimization. Select profile, choose template, paste JD.
               </p>
+              <div style={{ marginTop: "12px", fontSize: "13px", display: "flex", gap: "16px", justifyContent: "center" }}>
+                <a href="/parse" style={{ color: "#22d3ee", textDecoration: "none" }}>Import PDF resume</a>
+                <a href="/history" style={{ color: "#22d3ee", textDecoration: "none" }}>Generation history</a>
+                <a href="/batch" style={{ color: "#22d3ee", textDecoration: "none" }}>Batch mode</a>
+                <a href="/skills" style={{ color: "#22d3ee", textDecoration: "none" }}>Skills inventory</a>
+              </div>
             </div>
 
             {/* Form */}
@@ -273,10 +603,29 @@ export default function Home() {
                     <option value="">Select profile...</option>
                     {profiles.map(profile => (
                       <option key={profile.id} value={profile.id} style={{ background: "#1e293b", color: "#f1f5f9" }}>
-                        {profile.name}
+                        {profile.name}{profile.valid === false ? " (invalid — see /api/profiles/lint)" : ""}
                       </option>
                     ))}
                   </select>
+                  {selectedProfile && (
+                    <div style={{ fontSize: "12px", color: "#64748b", marginTop: "6px" }}>
+                      {inventorySize ? (
+                        <label style={{ cursor: "pointer" }}>
+                          <input
+                            type="checkbox"
+                            checked={inventoryOnly}
+                            onChange={(e) => setInventoryOnly(e.target.checked)}
+                            style={{ marginRight: "6px", verticalAlign: "middle" }}
+                          />
+                          Skills only from the inventory ({inventorySize})
+                        </label>
+                      ) : "No skills inventory: the Skills section follows the JD"}
+                      {" · "}
+                      <a href={`/skills?profile=${encodeURIComponent(selectedProfile)}`} style={{ color: "#22d3ee", textDecoration: "none" }}>
+                        {inventorySize ? "Edit skills" : "Add skills"}
+                      </a>
+                    </div>
+                  )}
                 </div>
 
                 {/* Template Selection */}
@@ -326,6 +675,103 @@ export default function Home() {
                 </div>
               </div>
 
+              {/* Prompt Preset & Headline Row */}
+              <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "16px" }}>
+                {/* Prompt Preset Selection */}
+                <div>
+                  <label style={{
+                    display: "block",
+                    fontSize: "13px",
+                    fontWeight: "600",
+                    color: "#94a3b8",
+                    marginBottom: "8px",
+                    textTransform: "uppercase",
+                    letterSpacing: "0.5px"
+                  }}>
+                    Prompt Preset
+                  </label>
+                  <select
+                    value={selectedPreset}
+                    onChange={(e) => setSelectedPreset(e.target.value)}
+                    style={{
+                      width: "100%",
+                      padding: "14px 16px",
+                      fontSize: "15px",
+                      fontFamily: "inherit",
+                      color: "#f1f5f9",
+                      background: "rgba(30, 41, 59, 0.5)",
+                      border: "1px solid rgba(255, 255, 255, 0.1)",
+                      borderRadius: "12px",
+                      outline: "none",
+                      cursor: "pointer",
+                      transition: "all 0.2s ease"
+                    }}
+                    onFocus={(e) => {
+                      e.target.style.borderColor = "#22d3ee";
+                      e.target.style.boxShadow = "0 0 0 3px rgba(34, 211, 238, 0.1)";
+                    }}
+                    onBlur={(e) => {
+                      e.target.style.borderColor = "rgba(255, 255, 255, 0.1)";
+                      e.target.style.boxShadow = "none";
+                    }}
+                  >
+                    {presets.map(preset => (
+                      <option key={preset.id} value={preset.id} style={{ background: "#1e293b", color: "#f1f5f9" }}>
+                        {preset.name} (v{preset.version})
+                      </option>
+                    ))}
+                  </select>
+                  {presets.find(p => p.id === selectedPreset)?.description && (
+                    <div style={{ fontSize: "12px", color: "#64748b", marginTop: "6px" }}>
+                      {presets.find(p => p.id === selectedPreset).description}
+                    </div>
+                  )}
+                </div>
+                {/* Headline Override */}
+                <div>
+                  <label style={{
+                    display: "block",
+                    fontSize: "13px",
+                    fontWeight: "600",
+                    color: "#94a3b8",
+                    marginBottom: "8px",
+                    textTransform: "uppercase",
+                    letterSpacing: "0.5px"
+                  }}>
+                    Headline <span style={{ textTransform: "none", fontWeight: "400", color: "#64748b" }}>(optional)</span>
+                  </label>
+                  <input
+                    type="text"
+                    value={headline}
+                    onChange={(e) => setHeadline(e.target.value)}
+                    placeholder={profiles.find(p => p.id === selectedProfile)?.title || "Defaults to the JD's job title"}
+                    style={{
+                      width: "100%",
+                      padding: "14px 16px",
+                      fontSize: "15px",
+                      fontFamily: "inherit",
+                      color: headline ? "#f1f5f9" : "#64748b",
+                      background: "rgba(30, 41, 59, 0.5)",
+                      border: "1px solid rgba(255, 255, 255, 0.1)",
+                      borderRadius: "12px",
+                      outline: "none",
+                      transition: "all 0.2s ease"
+                    }}
+                    onFocus={(e) => {
+                      e.target.style.borderColor = "#22d3ee";
+                      e.target.style.boxShadow = "0 0 0 3px rgba(34, 211, 238, 0.1)";
+                    }}
+                    onBlur={(e) => {
+                      e.target.style.borderColor = "rgba(255, 255, 255, 0.1)";
+                      e.target.style.boxShadow = "none";
+                    }}
+                  />
+                  <div style={{ fontSize: "12px", color: "#64748b", marginTop: "6px" }}>
+                    Used in order: this field, the profile's title, then the job title from the JD
+                  </div>
+                </div>
+              </div>
+
               {/* Job Title & Company Name Row */}
               <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "16px" }}>
                 {/* Job Title */}
@@ -453,11 +899,14 @@ export default function Home() {
                     e.target.style.boxShadow = "none";
                   }}
                 />
+                {jdAnalysis && (
+                  <JdAnalysis result={jdAnalysis} analyzing={analyzingJd} onAnalyzeWithModel={() => analyzeJd(true)} />
+                )}
               </div>
 
               {/* Generate Button */}
               <button
-                onClick={generatePDF}
+                onClick={generatePreview}
                 disabled={disable}
                 style={{
                   width: "100%",
@@ -505,12 +954,212 @@ export default function Home() {
                 ) : (
                   <>
                     <span style={{ fontSize: "18px" }}>→</span>
-                    Generate Tailored Resume
+                    {preview ? "Regenerate Preview" : "Generate Preview"}
                   </>
                 )}
               </button>
+
+              {disable && <GenerationProgress progress={progress} onCancel={cancelGenerate} />}
             </div>
 
+            {/* Preview Section */}
+            {preview && (
+              <div style={{ marginTop: "32px" }}>
+                <div style={{
+                  display: "flex",
+                  alignItems: "center",
+                  justifyContent: "space-between",
+                  marginBottom: "12px"
+                }}>
+                  <div style={{
+                    fontSize: "13px",
+                    fontWeight: "600",
+                    color: "#94a3b8",
+                    textTransform: "uppercase",
+                    letterSpacing: "0.5px"
+                  }}>
+                    <span style={{ display: "inline-flex", gap: "4px" }}>
+                      {["Preview", "Edit"].map(tab => {
+                        const active = (tab === "Edit") === editing;
+                        return (
+                          <button
+                            key={tab}
+                            onClick={() => setEditing(tab === "Edit")}
+                            style={{
+                              padding: "6px 12px",
+                              fontSize: "12px",
+                              fontWeight: "600",
+                              fontFamily: "inherit",
+                              textTransform: "uppercase",
+                              letterSpacing: "0.5px",
+                              color: active ? "#0a0f1c" : "#94a3b8",
+                              background: active ? "#22d3ee" : "rgba(51, 65, 85, 0.5)",
+                              border: "none",
+                              borderRadius: "8px",
+                              cursor: "pointer"
+                            }}
+                          >
+                            {tab}
+                          </button>
+                        );
+                      })}
+                    </span>
+                    {rendering && <span style={{ color: "#64748b", textTransform: "none", marginLeft: "8px" }}>re-rendering...</span>}
+                    {renderError && <span style={{ color: "#f87171", textTransform: "none", marginLeft: "8px" }}>{renderError}</span>}
+                  </div>
+                  <select
+                    value={format}
+                    onChange={(e) => changePdfOption("format", e.target.value)}
+                    title="Download format: PDF as previewed, an editable Word document styled after the template, or plain text / Markdown for pasting"
+                    style={{ ...pdfSelectStyle, marginLeft: "auto" }}
+                  >
+                    <option value="pdf">PDF</option>
+                    <option value="docx">Word (DOCX)</option>
+                    <option value="txt">Plain text</option>
+                    <option value="md">Markdown</option>
+                  </select>
+                  {(format === "pdf" || format === "docx") && <select
+                    value={pdfOptions.paper}
+                    onChange={(e) => changePdfOption("paper", e.target.value)}
+                    title="Paper size"
+                    style={pdfSelectStyle}
+                  >
+                    <option value="a4">A4</option>
+                    <option value="letter">US Letter</option>
+                  </select>}
+                  {format === "pdf" && <select
+                    value={pdfOptions.pages}
+                    onChange={(e) => changePdfOption("pages", e.target.value)}
+                    title="Page target: spacing, font size and the oldest bullets are reduced until the PDF fits"
+                    style={pdfSelectStyle}
+                  >
+                    <option value="">Any length</option>
+                    <option value="1">Fit to 1 page</option>
+                    <option value="2">Fit to 2 pages</option>
+                  </select>}
+                  <button
+                    onClick={discardPreview}
+                    style={{
+                      marginRight: "8px",
+                      padding: "10px 14px",
+                      fontSize: "13px",
+                      fontFamily: "inherit",
+                      color: "#94a3b8",
+                      background: "transparent",
+                      border: "1px solid rgba(255, 255, 255, 0.1)",
+                      borderRadius: "10px",
+                      cursor: "pointer"
+                    }}
+                  >
+                    Discard
+                  </button>
+                  <button
+                    onClick={downloadResume}
+                    disabled={downloadDisabled}
+                    title={exportBlocked ? "Strict mode: accept, fix or remove every flagged claim first" : ""}
+                    style={{
+                      padding: "10px 18px",
+                      fontSize: "14px",
+                      fontWeight: "600",
+                      fontFamily: "inherit",
+                      color: downloadDisabled ? "#64748b" : "#0a0f1c",
+                      background: downloadDisabled
+                        ? "rgba(51, 65, 85, 0.5)"
+                        : "linear-gradient(135deg, #22d3ee 0%, #10b981 100%)",
+                      border: "none",
+                      borderRadius: "10px",
+                      cursor: downloadDisabled ? "not-allowed" : "pointer"
+                    }}
+                  >
+                    {downloading
+                      ? `Rendering ${FORMAT_LABELS[format]}...`
+                      : exportBlocked
+                        ? `${pendingIssues.length} claim${pendingIssues.length === 1 ? "" : "s"} to resolve`
+                        : `✓ Approve & Download ${FORMAT_LABELS[format]}`}
+                  </button>
+                </div>
+                <div style={{ display: "flex", justifyContent: "flex-end", alignItems: "center", gap: "8px", marginBottom: "12px" }}>
+                  <span style={{ fontSize: "12px", color: "#64748b" }}>Copy for a form text box:</span>
+                  {Object.keys(COPY_FORMATS).map(copyFormat => (
+                    <button
+                      key={copyFormat}
+                      onClick={() => copyResume(copyFormat)}
+                      disabled={exportBlocked}
+                      title={exportBlocked ? "Strict mode: accept, fix or remove every flagged claim first" : ""}
+                      style={{
+                        padding: "6px 12px",
+                        fontSize: "12px",
+                        fontFamily: "inherit",
+                        color: copied === copyFormat ? "#10b981" : exportBlocked ? "#64748b" : "#94a3b8",
+                        background: "transparent",
+                        border: "1px solid rgba(255, 255, 255, 0.1)",
+                        borderRadius: "8px",
+                        cursor: exportBlocked ? "not-allowed" : "pointer"
+                      }}
+                    >
+                      {copied === copyFormat ? "✓ Copied" : `Copy ${FORMAT_LABELS[copyFormat]}`}
+                    </button>
+                  ))}
+                </div>
+                {progress.exported && !disable && (
+                  <GenerationProgress progress={progress} onCancel={downloading ? cancelDownload : undefined} />
+                )}
+                {fitReport && <FitReport report={fitReport} onDismiss={() => setFitReport(null)} />}
+                {preview.coverage && <KeywordCoverage coverage={preview.coverage} />}
+                {preview.skillGaps && <SkillGaps gaps={preview.skillGaps} profile={preview.profile} />}
+                {preview.bulletLibrary && <BulletSources content={preview.content} />}
+                {preview.grounding && (
+                  <GroundingWarnings
+                    issues={preview.grounding}
+                    accepted={preview.accepted || []}
+                    onToggleAccepted={toggleAccepted}
+                    onFix={(issue) => {
+                      const content = fixIssue(preview.content, issue);
+                      if (content) updateContent(content);
+                    }}
+                    strict={strictMode}
+                    onStrictChange={changeStrictMode}
+                  />
+                )}
+                {editing && <ContentEditor content={preview.content} onChange={updateContent} library={preview.bulletLibrary} />}
+                {/* Rendered at US Letter width and scaled down to fit the card */}
+                <div style={{
+                  display: editing ? "none" : "block",
+                  height: `${PREVIEW_HEIGHT * PREVIEW_SCALE}px`,
+                  overflow: "hidden",
+                  borderRadius: "12px",
+                  border: "1px solid rgba(255, 255, 255, 0.1)",
+                  background: "#ffffff"
+                }}>
+                  <iframe
+                    title="Resume preview"
+                    srcDoc={preview.html}
+                    sandbox=""
+                    style={{
+                      width: `${PREVIEW_WIDTH}px`,
+                      height: `${PREVIEW_HEIGHT}px`,
+                      border: "none",
+                      transform: `scale(${PREVIEW_SCALE})`,
+                      transformOrigin: "top left",
+                      opacity: rendering ? 0.5 : 1
+                    }}
+                  />
+                </div>
+              </div>
+            )}
+
+            {/* Cover letter from the same profile, JD and template */}
+            {preview && (
+              <CoverLetterPanel
+                profile={preview.profile}
+                jd={jd}
+                jobTitle={jobTitle}
+                companyName={companyName}
+                template={preview.template}
+                paper={pdfOptions.paper}
+              />
+            )}
+
             {/* Info Section */}
             <div style={{
               marginTop: "32px",
@@ -527,8 +1176,10 @@ export default function Home() {
               }}>
                 <div>
                   <div style={{ fontSize: "24px", marginBottom: "8px" }}>🎯</div>
-                  <div style={{ fontSize: "13px", color: "#94a3b8", fontWeight: "500" }}>ATS Optimized</div>
-                  <div style={{ fontSize: "11px", color: "#64748b" }}>95-100% Score</div>
+                  <div style={{ fontSize: "13px", color: "#94a3b8", fontWeight: "500" }}>Keyword Coverage</div>
+                  <div style={{ fontSize: "11px", color: "#64748b" }}>
+                    {preview?.coverage?.score != null ? `${preview.coverage.score}% of JD skills` : "Measured on every resume"}
+                  </div>
                 </div>
                 <div>
                   <div style={{ fontSize: "24px", marginBottom: "8px" }}>⚡</div>
@@ -5,6 +5,16 @@ export default function ParseResume() {
   const [loading, setLoading] = useState(false);
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
+  const [jsonText, setJsonText] = useState("");
+  const [jsonError, setJsonError] = useState(null);
+  const [profileId, setProfileId] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [saveErrors, setSaveErrors] = useState([]);
+  const [savedId, setSavedId] = useState(null);
+  const [saveWarnings, setSaveWarnings] = useState([]);
+
+  const suggestId = (name) =>
+    (name || "").replace(/[^A-Za-z0-9\s_-]/g, "").trim().replace(/\s+/g, "_");
 
   const handleFileChange = (e) => {
     const selectedFile = e.target.files[0];
@@ -43,6 +53,11 @@ export default function ParseResume() {
       }
 
       setResult(data.data);
+      setJsonText(JSON.stringify(data.data, null, 2));
+      setJsonError(null);
+      setProfileId(suggestId(data.data?.name));
+      setSavedId(null);
+      setSaveErrors([]);
     } catch (err) {
       setError(err.message || "Failed to parse resume");
     } finally {
@@ -50,6 +65,55 @@ export default function ParseResume() {
     }
   };
 
+  const handleJsonChange = (e) => {
+    const text = e.target.value;
+    setJsonText(text);
+    try {
+      setResult(JSON.parse(text));
+      setJsonError(null);
+    } catch (err) {
+      setJsonError(err.message);
+    }
+  };
+
+  const saveProfile = async (overwrite = false) => {
+    if (!result || jsonError) return;
+    if (!profileId.trim()) {
+      setSaveErrors(["Please enter a profile file name"]);
+      return;
+    }
+
+    setSaving(true);
+    setSaveErrors([]);
+
+    try {
+      const response = await fetch("/api/profiles", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ profile: result, id: profileId.trim(), overwrite }),
+      });
+      const data = await response.json();
+
+      if (response.status === 409) {
+        if (window.confirm(`Profile "${data.id}" already exists. Overwrite it?`)) {
+          await saveProfile(true);
+        }
+        return;
+      }
+      if (!response.ok) {
+        setSaveErrors(data.errors?.length ? data.errors : [data.error || "Failed to save profile"]);
+        return;
+      }
+
+      setSavedId(data.id);
+      setSaveWarnings(data.warnings || []);
+    } catch (err) {
+      setSaveErrors([err.message || "Failed to save profile"]);
+    } finally {
+      setSaving(false);
+    }
+  };
+
   const downloadJSON = () => {
     if (!result) return;
 
@@ -220,11 +284,31 @@ export default function ParseResume() {
             fontSize: "13px",
             lineHeight: "1.5"
           }}>
-            <pre style={{ margin: 0, whiteSpace: "pre-wrap", wordBreak: "break-word" }}>
-              {JSON.stringify(result, null, 2)}
-            </pre>
+            <textarea
+              value={jsonText}
+              onChange={handleJsonChange}
+              spellCheck={false}
+              rows={20}
+              style={{
+                width: "100%",
+                margin: 0,
+                border: "none",
+                background: "transparent",
+                fontFamily: "monospace",
+                fontSize: "13px",
+                lineHeight: "1.5",
+                resize: "vertical",
+                outline: "none"
+              }}
+            />
           </div>
 
+          {jsonError && (
+            <div style={{ marginTop: "8px", color: "#c62828", fontSize: "13px" }}>
+              Invalid JSON: {jsonError}
+            </div>
+          )}
+
           <div style={{
             marginTop: "15px",
             padding: "15px",
@@ -232,14 +316,68 @@ export default function ParseResume() {
             borderRadius: "6px",
             color: "#1565c0"
           }}>
-            <strong>Next Steps:</strong>
-            <ol style={{ marginBottom: 0, paddingLeft: "20px" }}>
-              <li>Download the JSON file</li>
-              <li>Save it to the <code>resumes/</code> folder as <code>{result.name?.replace(/\s+/g, "_") || "YourName"}.json</code></li>
-              <li>Copy the HTML template and save it to <code>templates/</code> folder</li>
-              <li>Restart the dev server</li>
-              <li>Your resume will appear in the dropdown on the main page!</li>
-            </ol>
+            <strong>Save Profile:</strong>
+            <p style={{ margin: "6px 0 10px", fontSize: "14px" }}>
+              Review the JSON above, then save it to <code>resumes/</code>. It will appear in the profile dropdown right away.
+            </p>
+            <div style={{ display: "flex", gap: "10px", alignItems: "center" }}>
+              <input
+                type="text"
+                value={profileId}
+                onChange={(e) => {
+                  setProfileId(e.target.value);
+                  setSavedId(null);
+                }}
+                placeholder="File name (e.g. John_Smith)"
+                style={{
+                  flex: 1,
+                  padding: "8px 12px",
+                  borderRadius: "6px",
+                  border: "1px solid #90caf9",
+                  fontSize: "14px"
+                }}
+              />
+              <code>.json</code>
+              <button
+                onClick={() => saveProfile(false)}
+                disabled={saving || !!jsonError}
+                style={{
+                  background: saving || jsonError ? "#9e9e9e" : "#1565c0",
+                  color: "#fff",
+                  border: "none",
+                  padding: "8px 16px",
+                  borderRadius: "6px",
+                  cursor: saving || jsonError ? "not-allowed" : "pointer",
+                  fontSize: "14px"
+                }}
+              >
+                {saving ? "Saving..." : "💾 Save to resumes/"}
+              </button>
+            </div>
+
+            {saveErrors.length > 0 && (
+              <ul style={{ margin: "10px 0 0", paddingLeft: "20px", color: "#c62828", fontSize: "13px" }}>
+                {saveErrors.map((msg) => (
+                  <li key={msg}>{msg}</li>
+                ))}
+              </ul>
+            )}
+
+            {savedId && (
+              <div style={{ marginTop: "10px", color: "#2e7d32", fontSize: "14px" }}>
+                ✓ Saved as <code>resumes/{savedId}.json</code>.{" "}
+                <a href={`/?profile=${encodeURIComponent(savedId)}`} style={{ color: "#1565c0" }}>
+                  Open it in the Resume Generator →
+                </a>
+                {saveWarnings.length > 0 && (
+                  <ul style={{ margin: "8px 0 0", paddingLeft: "20px", color: "#ef6c00", fontSize: "13px" }}>
+                    {saveWarnings.map((msg) => (
+                      <li key={msg}>{msg}</li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
           </div>
         </div>
       )}
@@ -0,0 +1,321 @@
+import { useState, useEffect } from "react";
+import { lookupSkill } from "../lib/skills";
+import { PROFICIENCY_LEVELS, skillKey } from "../lib/skill-inventory";
+
+const emptyRow = (name = "") => ({ name, category: lookupSkill(name)?.category || "", proficiency: "", last_used: "" });
+
+// Profile entries keep only the fields that are set
+const toInventory = (rows) =>
+  rows
+    .filter(row => row.name.trim())
+    .map(row => Object.fromEntries(
+      Object.entries({ ...row, name: row.name.trim(), category: row.category.trim(), last_used: row.last_used.trim() })
+        .filter(([, value]) => value)
+    ));
+
+export default function SkillsInventory() {
+  const [profiles, setProfiles] = useState([]);
+  const [profileId, setProfileId] = useState("");
+  const [profile, setProfile] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [saveErrors, setSaveErrors] = useState([]);
+  const [saveWarnings, setSaveWarnings] = useState([]);
+  const [saved, setSaved] = useState(false);
+  // Skills to add once the profile is loaded (/skills?profile=<id>&add=Kafka,Go from the generator's gap list)
+  const [pendingAdds, setPendingAdds] = useState([]);
+
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    setPendingAdds((params.get("add") || "").split(",").map(s => s.trim()).filter(Boolean));
+    fetch("/api/profiles")
+      .then(res => res.json())
+      .then(data => {
+        setProfiles(data);
+        const requested = params.get("profile");
+        if (requested && data.some(p => p.id === requested)) setProfileId(requested);
+      })
+      .catch(err => setError(`Failed to load profiles: ${err.message}`));
+  }, []);
+
+  useEffect(() => {
+    if (!profileId) {
+      setProfile(null);
+      setRows([]);
+      return;
+    }
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    setSaved(false);
+    setSaveErrors([]);
+    setSaveWarnings([]);
+    fetch(`/api/profiles/${encodeURIComponent(profileId)}`)
+      .then(async res => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || "Failed to load profile");
+        return data;
+      })
+      .then(data => {
+        if (cancelled) return;
+        const existing = (data.skills || []).map(skill => ({ ...emptyRow(), ...skill, last_used: skill.last_used || "" }));
+        const owned = new Set(existing.map(row => skillKey(row.name)));
+        const added = pendingAdds.filter(name => !owned.has(skillKey(name))).map(name => emptyRow(name));
+        setProfile(data);
+        setRows([...existing, ...added]);
+        setPendingAdds([]);
+      })
+      .catch(err => !cancelled && setError(err.message))
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [profileId]);
+
+  const updateRow = (index, patch) => {
+    setRows(prev => prev.map((row, i) => (i === index ? { ...row, ...patch } : row)));
+    setSaved(false);
+  };
+
+  const removeRow = (index) => {
+    setRows(prev => prev.filter((_, i) => i !== index));
+    setSaved(false);
+  };
+
+  const addRow = () => {
+    setRows(prev => [...prev, emptyRow()]);
+    setSaved(false);
+  };
+
+  const save = async () => {
+    setSaving(true);
+    setSaveErrors([]);
+    try {
+      // An empty inventory removes the field, so the profile goes back to the JD-driven Skills section
+      const { skills, ...rest } = profile;
+      const inventory = toInventory(rows);
+      const updated = inventory.length ? { ...rest, skills: inventory } : rest;
+
+      const response = await fetch(`/api/profiles/${encodeURIComponent(profileId)}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ profile: updated })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setSaveErrors(data.errors?.length ? data.errors : [data.error || "Failed to save skills"]);
+        return;
+      }
+      setProfile(updated);
+      setSaveWarnings((data.warnings || []).filter(msg => msg.startsWith("skills")));
+      setSaved(true);
+    } catch (err) {
+      setSaveErrors([err.message || "Failed to save skills"]);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const categories = [...new Set(rows.map(row => row.category.trim()).filter(Boolean))];
+  const inputStyle = { padding: "6px 8px", borderRadius: "6px", border: "1px solid #ccc", fontSize: "14px", width: "100%", boxSizing: "border-box" };
+  const cellStyle = { padding: "4px 6px" };
+
+  return (
+    <div style={{
+      maxWidth: 900,
+      margin: "40px auto",
+      fontFamily: "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif",
+      background: "#f9f9f9",
+      padding: "30px",
+      borderRadius: "12px",
+      boxShadow: "0 4px 12px rgba(0,0,0,0.1)"
+    }}>
+      <h1 style={{ textAlign: "center", color: "#333", marginBottom: "10px" }}>
+        Skills Inventory
+      </h1>
+      <p style={{ textAlign: "center", color: "#666", marginBottom: "30px" }}>
+        The skills a profile really has. With an inventory, the Skills section only picks and orders skills from this list,
+        and JD skills missing from it are reported as gaps.
+      </p>
+
+      <div style={{ background: "#fff", padding: "25px", borderRadius: "8px", marginBottom: "20px" }}>
+        <label style={{ display: "block", fontWeight: "bold", marginBottom: "10px", color: "#333" }}>
+          Profile:
+        </label>
+        <select value={profileId} onChange={(e) => setProfileId(e.target.value)} style={{ ...inputStyle, padding: "10px" }}>
+          <option value="">Select profile...</option>
+          {profiles.map(p => (
+            <option key={p.id} value={p.id}>
+              {p.name}{p.skills ? ` (${p.skills} skills)` : ""}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {error && (
+        <div style={{
+          background: "#ffebee",
+          color: "#c62828",
+          padding: "15px",
+          borderRadius: "8px",
+          marginBottom: "20px",
+          border: "1px solid #ef5350"
+        }}>
+          <strong>Error:</strong> {error}
+        </div>
+      )}
+
+      {loading && <div style={{ textAlign: "center", color: "#666" }}>Loading profile...</div>}
+
+      {profile && !loading && (
+        <div style={{ background: "#fff", padding: "25px", borderRadius: "8px" }}>
+          {rows.length === 0 ? (
+            <p style={{ color: "#666", marginTop: 0 }}>
+              No skills inventory yet; the Skills section follows the JD. Add the skills this candidate actually has.
+            </p>
+          ) : (
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "14px" }}>
+              <thead>
+                <tr style={{ textAlign: "left", color: "#555" }}>
+                  <th style={cellStyle}>Skill</th>
+                  <th style={cellStyle}>Category</th>
+                  <th style={cellStyle}>Proficiency</th>
+                  <th style={{ ...cellStyle, width: "90px" }}>Last used</th>
+                  <th style={{ ...cellStyle, width: "30px" }} />
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row, index) => (
+                  <tr key={index}>
+                    <td style={cellStyle}>
+                      <input
+                        value={row.name}
+                        onChange={(e) => updateRow(index, { name: e.target.value })}
+                        onBlur={() => !row.category && updateRow(index, { category: lookupSkill(row.name)?.category || "" })}
+                        placeholder="e.g. PostgreSQL"
+                        style={inputStyle}
+                      />
+                    </td>
+                    <td style={cellStyle}>
+                      <input
+                        value={row.category}
+                        onChange={(e) => updateRow(index, { category: e.target.value })}
+                        list="skill-categories"
+                        placeholder="e.g. Databases"
+                        style={inputStyle}
+                      />
+                    </td>
+                    <td style={cellStyle}>
+                      <select value={row.proficiency} onChange={(e) => updateRow(index, { proficiency: e.target.value })} style={inputStyle}>
+                        <option value="">—</option>
+                        {PROFICIENCY_LEVELS.map(level => (
+                          <option key={level} value={level}>{level}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td style={cellStyle}>
+                      <input
+                        value={row.last_used}
+                        onChange={(e) => updateRow(index, { last_used: e.target.value })}
+                        placeholder="2024"
+                        style={inputStyle}
+                      />
+                    </td>
+                    <td style={cellStyle}>
+                      <button
+                        onClick={() => removeRow(index)}
+                        title="Remove"
+                        style={{ background: "none", border: "none", color: "#c62828", cursor: "pointer", fontSize: "16px" }}
+                      >
+                        ✕
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <datalist id="skill-categories">
+            {categories.map(category => (
+              <option key={category} value={category} />
+            ))}
+          </datalist>
+
+          <div style={{ display: "flex", gap: "10px", marginTop: "15px" }}>
+            <button
+              onClick={addRow}
+              style={{
+                background: "#2196F3",
+                color: "#fff",
+                border: "none",
+                padding: "8px 16px",
+                borderRadius: "6px",
+                cursor: "pointer",
+                fontSize: "14px"
+              }}
+            >
+              + Add skill
+            </button>
+            <button
+              onClick={save}
+              disabled={saving}
+              style={{
+                background: saving ? "#9e9e9e" : "#1565c0",
+                color: "#fff",
+                border: "none",
+                padding: "8px 16px",
+                borderRadius: "6px",
+                cursor: saving ? "not-allowed" : "pointer",
+                fontSize: "14px"
+              }}
+            >
+              {saving ? "Saving..." : `💾 Save to resumes/${profileId}.json`}
+            </button>
+          </div>
+
+          {saveErrors.length > 0 && (
+            <ul style={{ margin: "10px 0 0", paddingLeft: "20px", color: "#c62828", fontSize: "13px" }}>
+              {saveErrors.map((msg) => (
+                <li key={msg}>{msg}</li>
+              ))}
+            </ul>
+          )}
+
+          {saved && (
+            <div style={{ marginTop: "10px", color: "#2e7d32", fontSize: "14px" }}>
+              ✓ Saved.{" "}
+              <a href={`/?profile=${encodeURIComponent(profileId)}`} style={{ color: "#1565c0" }}>
+                Open it in the Resume Generator →
+              </a>
+              {saveWarnings.length > 0 && (
+                <ul style={{ margin: "8px 0 0", paddingLeft: "20px", color: "#ef6c00", fontSize: "13px" }}>
+                  {saveWarnings.map((msg) => (
+                    <li key={msg}>{msg}</li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div style={{
+        marginTop: "30px",
+        textAlign: "center"
+      }}>
+        <a
+          href="/"
+          style={{
+            color: "#2196F3",
+            textDecoration: "none",
+            fontSize: "14px"
+          }}
+        >
+          ← Back to Resume Generator
+        </a>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,115 @@
+// PDF render throughput: a browser launched per render (BROWSER_POOL_SIZE=0, the old behaviour)
+// vs the shared browser pool. Starts `next start` once per mode, so run `npm run build` first.
+//
+//   npm run benchmark:pdf -- --renders 20 --concurrency 2 --profile "Adam Singleton" --template Resume
+
+import { spawn } from "child_process";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+const args = Object.fromEntries(
+  process.argv
+    .slice(2)
+    .map((arg, idx, all) => (arg.startsWith("--") ? [arg.slice(2), all[idx + 1]] : null))
+    .filter(Boolean)
+);
+const renders = Number(args.renders) || 20;
+const concurrency = Number(args.concurrency) || 2;
+const port = Number(args.port) || 3210;
+const template = args.template || "Resume";
+
+const MODES = [
+  { name: "launch per render (old)", env: { BROWSER_POOL_SIZE: "0" } },
+  { name: "browser pool (new)", env: { BROWSER_POOL_SIZE: "1" } },
+];
+
+// Template data built from a stored profile with filler bullets, so no model call is needed
+function sampleContent() {
+  const dir = path.join(root, "resumes");
+  const file = args.profile ? `${args.profile}.json` : fs.readdirSync(dir).find((f) => f.endsWith(".json"));
+  const profile = JSON.parse(fs.readFileSync(path.join(dir, file), "utf-8"));
+  const bullet = (n) => `Shipped improvement ${n} to a <strong>Node.js</strong> service, cutting p95 latency by ${20 + n}%.`;
+  return {
+    name: profile.name,
+    title: profile.title || "Software Engineer",
+    email: profile.email,
+    phone: profile.phone,
+    location: profile.location,
+    summary: "Engineer with experience across <strong>TypeScript</strong>, <strong>React</strong> and <strong>AWS</strong>.",
+    skills: { Languages: ["JavaScript", "TypeScript", "Python"], Cloud: ["AWS", "Docker", "Kubernetes"] },
+    experience: profile.experience.map((job) => ({ ...job, details: [1, 2, 3, 4, 5].map(bullet) })),
+    education: profile.education,
+  };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function startServer(env) {
+  const server = spawn(process.execPath, [path.join(root, "node_modules/next/dist/bin/next"), "start", "-p", String(port)], {
+    cwd: root,
+    env: { ...process.env, NEXT_TELEMETRY_DISABLED: "1", ...env },
+    stdio: "ignore",
+  });
+  for (let i = 0; i < 60; i++) {
+    await sleep(500);
+    try {
+      if ((await fetch(`http://localhost:${port}/api/templates`)).ok) return server;
+    } catch (err) {
+      // not listening yet
+    }
+  }
+  server.kill();
+  throw new Error("Server did not start within 30s (did you run npm run build?)");
+}
+
+async function renderOnce(content) {
+  const started = performance.now();
+  const res = await fetch(`http://localhost:${port}/api/preview`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ content, template, format: "pdf" }),
+  });
+  if (!res.ok) throw new Error(`Render failed (${res.status}): ${await res.text()}`);
+  await res.arrayBuffer();
+  return performance.now() - started;
+}
+
+async function runMode(mode, content) {
+  const server = await startServer(mode.env);
+  try {
+    // Warm-up compiles the route and, for the pool, launches its browser
+    await renderOnce(content);
+
+    const latencies = [];
+    let next = 0;
+    const started = performance.now();
+    await Promise.all(
+      Array.from({ length: concurrency }, async () => {
+        while (next < renders) {
+          next++;
+          latencies.push(await renderOnce(content));
+        }
+      })
+    );
+    const seconds = (performance.now() - started) / 1000;
+    latencies.sort((a, b) => a - b);
+    const pct = (p) => Math.round(latencies[Math.min(latencies.length - 1, Math.floor(latencies.length * p))]);
+    return { mode: mode.name, renders, seconds: +seconds.toFixed(2), perSecond: +(renders / seconds).toFixed(2), p50: pct(0.5), p95: pct(0.95) };
+  } finally {
+    server.kill();
+    await new Promise((resolve) => server.once("exit", resolve));
+  }
+}
+
+const content = sampleContent();
+console.log(`Rendering ${renders} PDFs (${template}) per mode, ${concurrency} at a time...`);
+const results = [];
+for (const mode of MODES) {
+  results.push(await runMode(mode, content));
+  console.log(`  ${mode.name}: done`);
+}
+console.table(results.map(({ mode, seconds, perSecond, p50, p95 }) => ({ mode, "total s": seconds, "PDF/s": perSecond, "p50 ms": p50, "p95 ms": p95 })));
+console.log(`Speed-up: ${(results[1].perSecond / results[0].perSecond).toFixed(2)}x`);